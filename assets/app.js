@@ -3,14 +3,32 @@
 if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
 
 const CONFIG_URL = new URL('config/variables-config.json', location.href).href;
+// Index of the Déesse UI releases the editor has a config for; CONFIG_URL is used when it is missing
+const RELEASES_URL = new URL('config/releases.json', location.href).href;
+const LOCALES_URL = new URL('locales/index.json', location.href).href;
 const EXAMPLE_URL = new URL('examples/_global_variables.example.json', location.href).href;
 
 const STORAGE_KEY_USER = 'deesse_lastUser';
 const STORAGE_KEY_DEFAULTS = 'deesse_defaults';
+const STORAGE_KEY_PROFILES = 'deesse_profiles';
+const STORAGE_KEY_PREFS = 'deesse_prefs';
+
+// Config, settings and pack logic shared with the command line tool (assets/core.js)
+const {
+  VERSION_KEY, DEFAULT_PACK_FILENAME, DEFAULT_PACK_OUTPUT,
+  formatText, normalizeConfig, didYouMean, isValidURL, validateConfig, defaultFor, getChoices,
+  parseHelpMarkup, helpPlainText,
+  conditionKeys, variableConditions, validateValue,
+  describeValueType, describeExpectedType, matchesDescriptorType,
+  parseJSONWithComments, prettyPrintJSON, formatPackVersion,
+  openPack, packManifestVersion, checkPackCompatibility, buildPatchedGlobals, writePatchedPack,
+} = DeesseCore;
+DeesseCore.setTranslator(t, tn);
 
 const controlsEl = document.getElementById('controls');
 const jsonPreview = document.getElementById('jsonPreview');
 const downloadBtn = document.getElementById('downloadBtn');
+const shareBtn = document.getElementById('shareBtn');
 const loadExampleBtn = document.getElementById('loadExample');
 const status = document.getElementById('status');
 const pageTitle = document.getElementById('pageTitle');
@@ -20,74 +38,202 @@ const sidebarOverlay = document.getElementById('sidebarOverlay');
 const sidebarNav = document.getElementById('sidebarNav');
 const menuBtn = document.getElementById('menuBtn');
 const closeSidebarBtn = document.getElementById('closeSidebar');
+const sidebarInvalid = document.getElementById('sidebarInvalid');
+const sidebarInvalidBtn = document.getElementById('sidebarInvalidBtn');
 const previewModal = document.getElementById('previewModal');
 const previewImage = document.getElementById('previewImage');
 const previewTitle = document.getElementById('previewTitle');
 const closePreviewBtn = document.getElementById('closePreview');
 
 let currentSearchTerm = '';
+let prefs = loadPrefs(); // editor preferences kept in localStorage
+// Filter chips under the search box; kinds are OR-ed, everything else is AND-ed
+const searchFilters = { kinds: new Set(), modified: false, preview: false, readonly: false, section: '' };
+let releases = [];
+let defaultRelease = null;
+let currentRelease = null;
+let locales = []; // [{ code, name }] from locales/index.json
+let defaultLocale = 'en';
+let localeCode = 'en';
+let localeStrings = {}; // "ui" section of the active locale file
+let localeVariables = {}; // "variables" section: per-key label/help overrides
+const controlSyncers = new Map(); // key -> refresh the rendered row from variables[key]
+let pendingReport = null; // { report, sourceName, title } shown once init() has finished rendering
 
 let config = { pageName: 'Déesse UI — Editor', variables: {} };
 let variables = {}; // sanitized object shown & downloadable
 let defaults = {};  // defaults derived from config and example
+let configDiagnostics = []; // [{ level: 'error' | 'warning', key, message }] from validateConfig()
 
-async function loadConfig(){
+async function loadConfig(url = CONFIG_URL){
+  const fileName = new URL(url).pathname.split('/').slice(-2).join('/');
   try {
-    const r = await fetch(CONFIG_URL);
+    const r = await fetch(url);
     if(!r.ok) throw new Error('Failed to fetch config');
-    const raw = await r.json();
-    // support both shapes (flat map or { pageName, variables: { ... } })
-    if(raw.variables) {
-      config = raw;
-    } else {
-      // old flat map: treat everything as variables, optionally pageName may exist
-      const copy = { variables: {} };
-      Object.keys(raw).forEach(k => {
-        if(k === 'pageName') copy.pageName = raw.pageName;
-        else copy.variables[k] = raw[k];
-      });
-      config = { pageName: copy.pageName || config.pageName, variables: copy.variables };
-    }
+    config = normalizeConfig(await r.json(), config.pageName);
     pageTitle.textContent = config.pageName || pageTitle.textContent;
     console.log('config loaded', config);
+    configDiagnostics = validateConfig(config);
   } catch (e) {
     console.warn('Could not load config, using empty config', e);
     config = { pageName: config.pageName, variables: {} };
+    configDiagnostics = [{ level: 'error', key: null, message: `Could not load ${fileName}: ${e.message}` }];
   }
+  if(configDiagnostics.length) console.warn('config diagnostics', configDiagnostics);
 }
 
-function defaultFor(desc){
-  if(!desc) return null;
-  if(desc.default !== undefined) return structuredClone(desc.default);
-  if(desc.type === 'boolean') return false;
-  if(desc.type === 'number') return 0;
-  if(desc.type === 'number_array') return Array(desc.count || 2).fill(0);
-  if(desc.type === 'string') return '';
-  if(desc.type === 'choice'){
-    const choices = getChoices(desc);
-    return (choices && choices.length) ? choices[0] : '';
+// Releases listed in config/releases.json: { default, releases: [{ version, label, config }] },
+// where config is a path relative to the index. Each config carries its own packDownloadUrl.
+async function loadReleases(){
+  try {
+    const r = await fetch(RELEASES_URL);
+    if(!r.ok) throw new Error('Failed to fetch release list');
+    const index = await r.json();
+    releases = (Array.isArray(index.releases) ? index.releases : [])
+      .filter(rel => rel && typeof rel.version === 'string' && typeof rel.config === 'string');
+    defaultRelease = index.default;
+  } catch (e) {
+    console.warn('No release list, using the single config', e);
+    releases = [];
   }
-  return null;
 }
 
-// Read choices out of the descriptor. Supports:
-// - desc.choices: an array of values
-// - desc.choice_1, desc.choice_2, ... : numbered keys (preserves numeric order)
-function getChoices(desc){
-  if(!desc) return [];
-  if(Array.isArray(desc.choices)) return desc.choices.map(String);
-  const choices = [];
-  Object.keys(desc).forEach(k => {
-    const m = k.match(/^choice_(\d+)$/);
-    if(m){
-      choices.push({ idx: Number(m[1]), val: String(desc[k]) });
+function releaseConfigURL(release){
+  return new URL(release.config, RELEASES_URL).href;
+}
+
+function findRelease(version){
+  return releases.find(rel => rel.version === version) || null;
+}
+
+function releaseForPackVersion(version){
+  return DeesseCore.releaseForPackVersion(releases, version);
+}
+
+function releaseLabel(release){
+  return release.label || `v${release.version}`;
+}
+
+function loadPrefs(){
+  const base = { inactiveMode: 'dim', omitInactive: false, packOutput: { ...DEFAULT_PACK_OUTPUT } };
+  try {
+    return { ...base, ...JSON.parse(localStorage.getItem(STORAGE_KEY_PREFS) || '{}') };
+  } catch(e){
+    return base;
+  }
+}
+
+function savePrefs(){
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFS, JSON.stringify(prefs));
+  } catch(e){
+    console.warn('Could not save preferences', e);
+  }
+}
+
+// Localisation. UI strings are written in English in app.js, core.js and index.html
+// and double as translation keys: t('Ready.') looks the text up in the "ui" section of
+// locales/<code>.json and falls back to the English text. Placeholders are {name}.
+// The same file can override descriptor labels and help under "variables".
+function t(text, params){
+  const translated = localeStrings[text];
+  return formatText(typeof translated === 'string' ? translated : text, params);
+}
+
+// Plurals: the English "other" form is the key. A translation is either a string or
+// an object keyed by Intl.PluralRules categories ("one", "few", "many", "other").
+function tn(count, one, other, params){
+  const values = { count, ...params };
+  const translated = localeStrings[other];
+  if(typeof translated === 'string') return formatText(translated, values);
+  if(translated && typeof translated === 'object'){
+    const form = translated[new Intl.PluralRules(localeCode).select(count)] ?? translated.other;
+    if(typeof form === 'string') return formatText(form, values);
+  }
+  return formatText(count === 1 ? one : other, values);
+}
+
+function descLabel(key, desc){
+  const override = localeVariables[key];
+  return (override && override.label) || (desc && desc.label) || '';
+}
+
+function descHelp(key, desc){
+  const override = localeVariables[key];
+  return (override && override.help) || (desc && desc.help) || '';
+}
+
+function descDetails(key, desc){
+  const override = localeVariables[key];
+  return (override && override.details) || (desc && desc.details) || '';
+}
+
+async function loadLocales(){
+  try {
+    const r = await fetch(LOCALES_URL);
+    if(!r.ok) throw new Error('Failed to fetch locale list');
+    const index = await r.json();
+    locales = (Array.isArray(index.locales) ? index.locales : []).filter(l => l && typeof l.code === 'string');
+    if(typeof index.default === 'string') defaultLocale = index.default;
+  } catch(e) {
+    console.warn('No locale list, the editor stays in English', e);
+    locales = [];
+  }
+}
+
+// The saved choice, else the first browser language we have, else the list's default
+function pickLocale(){
+  const codes = locales.map(l => l.code);
+  if(codes.includes(prefs.locale)) return prefs.locale;
+  for(const lang of navigator.languages || [navigator.language]){
+    const code = String(lang).toLowerCase();
+    const match = codes.find(c => c.toLowerCase() === code) || codes.find(c => c.toLowerCase() === code.split('-')[0]);
+    if(match) return match;
+  }
+  return codes.includes(defaultLocale) ? defaultLocale : 'en';
+}
+
+// English needs no file: every string is its own translation
+async function loadLocale(code){
+  localeCode = code;
+  localeStrings = {};
+  localeVariables = {};
+  if(code === 'en') return;
+  try {
+    const r = await fetch(new URL(`${code}.json`, LOCALES_URL).href);
+    if(!r.ok) throw new Error(`Failed to fetch locale ${code}`);
+    const data = await r.json();
+    localeStrings = data.ui || {};
+    localeVariables = data.variables || {};
+  } catch(e) {
+    console.warn('Could not load translations, falling back to English', e);
+  }
+}
+
+// Translate the static markup: elements marked data-i18n get their own text nodes
+// and their title, placeholder and alt attributes translated. The English
+// originals are remembered per element, so switching again (or code that later
+// puts the English text back) keeps working.
+const i18nOriginals = new WeakMap();
+function translatePage(){
+  document.documentElement.lang = localeCode;
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    const nodes = [...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+    if(!i18nOriginals.has(el)){
+      const attrs = {};
+      ['title', 'placeholder', 'alt', 'aria-label'].forEach(attr => {
+        if(el.hasAttribute(attr)) attrs[attr] = el.getAttribute(attr);
+      });
+      i18nOriginals.set(el, { texts: nodes.map(n => n.textContent), attrs });
     }
+    const original = i18nOriginals.get(el);
+    nodes.forEach((node, i) => {
+      if(original.texts[i] === undefined) return;
+      const [, before, text, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(original.texts[i]);
+      node.textContent = before + t(text.replace(/\s+/g, ' ')) + after;
+    });
+    Object.entries(original.attrs).forEach(([attr, text]) => el.setAttribute(attr, t(text)));
   });
-  if(choices.length){
-    choices.sort((a,b)=>a.idx-b.idx);
-    return choices.map(c => c.val);
-  }
-  return [];
 }
 
 function saveUserState(){
@@ -118,34 +264,175 @@ function saveDefaultsToStorage(){
   }
 }
 
+// The shared logic takes the config and values explicitly; these use the editor's
+function isVariableActive(key){
+  return DeesseCore.isVariableActive(config.variables || {}, variables, key);
+}
+
+function buildSanitizedFromSource(source, report){
+  return DeesseCore.buildSanitizedFromSource(config.variables || {}, source, report);
+}
+
+function migrateSource(source, report){
+  return DeesseCore.migrateSource(config, source, report);
+}
+
+// What gets written to files: all values, or only the active ones when the user asked for that
+function exportVariables(){
+  return prefs.omitInactive ? DeesseCore.activeValues(config.variables || {}, variables) : variables;
+}
+
+function applyDependencyState(){
+  const vars = config.variables || {};
+  controlsEl.querySelectorAll('.control-row').forEach(row => {
+    const key = row.dataset.key;
+    const conds = variableConditions(vars[key]);
+    if(!conds.length) return;
+    const active = isVariableActive(key);
+    row.classList.toggle('inactive', !active);
+    row.hidden = !active && prefs.inactiveMode === 'hide';
+    row.querySelectorAll('input, select, button').forEach(el => {
+      if(!active && !el.disabled){
+        el.disabled = true;
+        el.dataset.inactiveDisabled = '1';
+      } else if(active && el.dataset.inactiveDisabled){
+        el.disabled = false;
+        delete el.dataset.inactiveDisabled;
+      }
+    });
+    let note = row.querySelector('.inactive-note');
+    if(!active && !note){
+      note = document.createElement('div');
+      note.className = 'inactive-note';
+      const parents = [...new Set(conds.flatMap(conditionKeys))].map(k => descLabel(k, vars[k]) || k);
+      note.textContent = t('Inactive: requires {parents}', { parents: parents.join(', ') });
+      row.appendChild(note);
+    } else if(active && note){
+      note.remove();
+    }
+  });
+}
+
+function isModifiedValue(key, value){
+  return JSON.stringify(value) !== JSON.stringify(defaults[key]);
+}
+
+// Configured keys whose current value differs from the defaults, in config order
+function modifiedKeys(){
+  const vars = config.variables || {};
+  return Object.keys(vars).filter(k => vars[k].type !== 'section' && k in variables && isModifiedValue(k, variables[k]));
+}
+
 function updateModifiedStatus(key, value, rowEl) {
-  const isModified = JSON.stringify(value) !== JSON.stringify(defaults[key]);
+  const isModified = isModifiedValue(key, value);
   if (isModified) {
     rowEl.classList.add('modified');
   } else {
     rowEl.classList.remove('modified');
   }
+  updateRowValidation(key, rowEl);
+}
+
+// Keys whose number box currently holds something that isn't a number
+// (the browser reports it as badInput and the value never reaches `variables`)
+const badInputKeys = new Set();
+
+function collectInvalidValues(){
+  const vars = config.variables || {};
+  const out = [];
+  Object.keys(vars).forEach(k => {
+    if(badInputKeys.has(k)){
+      out.push({ key: k, message: t('Not a number.') });
+      return;
+    }
+    const message = validateValue(vars[k], variables[k]);
+    if(message) out.push({ key: k, message });
+  });
+  return out;
+}
+
+// Element id of a variable's input; the label, help text and error message use it
+// as a prefix so the input can point at them
+function controlIdFor(key){
+  return `control-${key.replace(/\s/g, '_')}`;
+}
+
+function updateRowValidation(key, rowEl){
+  const desc = (config.variables || {})[key];
+  const message = badInputKeys.has(key) ? t('Not a number.') : validateValue(desc, variables[key] !== undefined ? variables[key] : defaultFor(desc));
+  rowEl.classList.toggle('invalid', !!message);
+  rowEl.querySelectorAll('.right input, .right select').forEach(el => el.setAttribute('aria-invalid', String(!!message)));
+  let errorEl = rowEl.querySelector('.row-error');
+  if(message){
+    if(!errorEl){
+      errorEl = document.createElement('div');
+      errorEl.className = 'row-error';
+      errorEl.id = `${controlIdFor(key)}-error`;
+      rowEl.appendChild(errorEl);
+    }
+    errorEl.textContent = message;
+  } else if(errorEl){
+    errorEl.remove();
+  }
+}
+
+function updateInvalidCount(){
+  const invalid = collectInvalidValues();
+  sidebarInvalid.hidden = !invalid.length;
+  sidebarInvalidBtn.textContent = tn(invalid.length, '{count} invalid value', '{count} invalid values');
+}
+
+// Downloads, copies and pack patches go through here: with invalid values the
+// user has to confirm before a file is produced.
+function confirmValidForExport(action){
+  const invalid = collectInvalidValues();
+  if(!invalid.length) return true;
+  const first = invalid[0];
+  return confirm(tn(invalid.length, '{count} value is invalid', '{count} values are invalid') +
+    ` (${first.key}: ${first.message}).\n\n` + t('{action} anyway?', { action }));
 }
 
-function makeControl(key, value, desc){
+// `highlights` holds the search ranges to mark in the key, label and help
+function makeControl(key, value, desc, highlights = {}){
   const row = document.createElement('div');
   row.className = 'control-row';
   const label = document.createElement('label');
   const wrapAt = (desc && desc.wrap_underscore) ? desc.wrap_underscore : 5;
-  const keyHtml = key.replace(new RegExp(`^((?:[^_]*_){${wrapAt}})`), '$1<br>');
-  label.innerHTML = `<span class="key">${keyHtml}</span><div class="help">${desc && desc.label ? desc.label : ''}</div>`;
-  if(desc && desc.help) label.innerHTML += `<div class="help">${desc.help}</div>`;
+  const wrap = new RegExp(`^((?:[^_]*_){${wrapAt}})`).exec(key);
+  const keyHtml = highlightHTML(key, highlights.key, wrap ? wrap[1].length : -1);
+  label.innerHTML = `<span class="key">${keyHtml}</span><div class="help">${highlightHTML(descLabel(key, desc), highlights.label)}</div>`;
+  if(descHelp(key, desc)) label.innerHTML += `<div class="help">${helpMarkupHTML(descHelp(key, desc), highlights.help)}</div>`;
   row.appendChild(label);
 
+  // Inputs are named by the label (the key when there is none) and described by
+  // the help text and the validation message
+  const controlId = controlIdFor(key);
+  const [keyEl, nameEl, helpEl] = label.children;
+  keyEl.id = `${controlId}-key`;
+  nameEl.id = `${controlId}-name`;
+  if(helpEl) helpEl.id = `${controlId}-help`;
+  label.htmlFor = controlId;
+  const nameIds = descLabel(key, desc) ? nameEl.id : keyEl.id;
+  const describedBy = [helpEl && helpEl.id, `${controlId}-error`].filter(Boolean).join(' ');
+  const labelInput = (el) => {
+    el.setAttribute('aria-labelledby', nameIds);
+    el.setAttribute('aria-describedby', describedBy);
+  };
+
   const right = document.createElement('div');
   right.className = 'right';
   const readonly = !!(desc && desc.readonly);
+  const controlName = descLabel(key, desc) || key;
+  const resetLabel = t('Reset {name}', { name: controlName });
   let resetFn = null;
+  let syncFn = null; // puts variables[key] back into the inputs, for edits made elsewhere
   let sliderNumWrap = null;
 
   if(desc && desc.type === 'boolean'){
     const input = document.createElement('input');
     input.type = 'checkbox';
+    input.id = controlId;
+    labelInput(input);
     input.checked = Boolean(value);
     input.disabled = readonly;
     input.addEventListener('change', () => {
@@ -154,11 +441,12 @@ function makeControl(key, value, desc){
       updateModifiedStatus(key, variables[key], row);
     });
     right.appendChild(input);
+    syncFn = () => { input.checked = Boolean(variables[key]); };
     resetFn = () => {
       const def = defaultFor(desc);
       variables[key] = Boolean(def);
       input.checked = Boolean(def);
-      updatePreview();
+      updatePreview(resetLabel);
       updateModifiedStatus(key, variables[key], row);
     };
 
@@ -166,6 +454,8 @@ function makeControl(key, value, desc){
     // render select dropdown with options
     const choices = getChoices(desc);
     const select = document.createElement('select');
+    select.id = controlId;
+    labelInput(select);
     select.disabled = readonly;
     // Populate options
     choices.forEach(opt => {
@@ -178,6 +468,8 @@ function makeControl(key, value, desc){
     if(choices.length === 0){
       const fallback = document.createElement('input');
       fallback.type = 'text';
+      fallback.id = controlId;
+      labelInput(fallback);
       fallback.disabled = readonly;
       fallback.value = String(value ?? '');
       fallback.addEventListener('input', () => {
@@ -186,11 +478,12 @@ function makeControl(key, value, desc){
         updateModifiedStatus(key, variables[key], row);
       });
       right.appendChild(fallback);
+      syncFn = () => { fallback.value = String(variables[key] ?? ''); };
       resetFn = () => {
         const def = defaultFor(desc);
         variables[key] = def;
         fallback.value = String(def ?? '');
-        updatePreview();
+        updatePreview(resetLabel);
         updateModifiedStatus(key, variables[key], row);
       };
     } else {
@@ -205,11 +498,12 @@ function makeControl(key, value, desc){
         updateModifiedStatus(key, variables[key], row);
       });
       right.appendChild(select);
+      syncFn = () => { select.value = String(variables[key]); };
       resetFn = () => {
         const def = defaultFor(desc);
         variables[key] = def;
         select.value = String(def ?? choices[0]);
-        updatePreview();
+        updatePreview(resetLabel);
         updateModifiedStatus(key, variables[key], row);
       };
     }
@@ -217,6 +511,8 @@ function makeControl(key, value, desc){
   } else if(desc && desc.type === 'number' && desc.input === 'slider'){
     const range = document.createElement('input');
     range.type = 'range';
+    range.id = controlId;
+    labelInput(range);
     range.min = desc.min ?? 0;
     range.max = desc.max ?? 100;
     range.step = desc.step ?? 1;
@@ -225,6 +521,7 @@ function makeControl(key, value, desc){
 
     const number = document.createElement('input');
     number.type = 'number';
+    labelInput(number);
     number.inputMode = 'decimal';
     number.min = range.min; number.max = range.max; number.step = range.step;
     number.value = range.value;
@@ -259,12 +556,16 @@ function makeControl(key, value, desc){
     sliderNumWrap.appendChild(number);
     right.appendChild(range);
     right.appendChild(sliderNumWrap);
+    syncFn = () => {
+      range.value = variables[key];
+      number.value = variables[key];
+    };
     resetFn = () => {
       const def = defaultFor(desc);
       variables[key] = def;
       range.value = def;
       number.value = def;
-      updatePreview();
+      updatePreview(resetLabel);
       updateModifiedStatus(key, variables[key], row);
     };
 
@@ -272,9 +573,16 @@ function makeControl(key, value, desc){
     const count = desc.count || (Array.isArray(value) ? value.length : 2);
     const container = document.createElement('div');
     container.className = 'array-inputs';
+    container.setAttribute('role', 'group');
+    labelInput(container);
+    const channels = isColorDescriptor(desc) ? [t('Red'), t('Green'), t('Blue'), t('Alpha')] : [];
+    let colorTools = null;
+    const syncColor = () => { if(colorTools) colorTools.sync(); };
     for(let i=0;i<count;i++){
       const num = document.createElement('input');
       num.type = 'number';
+      if(i === 0) num.id = controlId;
+      num.setAttribute('aria-label', channels[i] || t('Value {n}', { n: i + 1 }));
       num.inputMode = 'decimal';
       num.step = desc.step ?? 1;
       num.min = desc.min ?? '';
@@ -287,6 +595,7 @@ function makeControl(key, value, desc){
         const idx = Number(num.dataset.index);
         if(!Array.isArray(variables[key])) variables[key] = Array(count).fill(0);
         variables[key][idx] = Number(num.value);
+        syncColor();
         updatePreview();
         updateModifiedStatus(key, variables[key], row);
       });
@@ -297,20 +606,38 @@ function makeControl(key, value, desc){
           const resetVal = defArr[idx];
           variables[key][idx] = resetVal;
           num.value = resetVal;
+          syncColor();
           updatePreview();
           updateModifiedStatus(key, variables[key], row);
         }
       });
       container.appendChild(num);
     }
+    if(isColorDescriptor(desc)){
+      colorTools = makeColorTools(count, () => variables[key], (rgba) => {
+        if(!Array.isArray(variables[key])) variables[key] = Array(count).fill(0);
+        rgba.forEach((v, idx) => { if(idx < count) variables[key][idx] = v; });
+        container.querySelectorAll('input').forEach((num, idx) => { num.value = variables[key][idx]; });
+        updatePreview();
+        updateModifiedStatus(key, variables[key], row);
+      }, readonly);
+      right.appendChild(colorTools.el);
+    }
     right.appendChild(container);
+    syncFn = () => {
+      container.querySelectorAll('input').forEach((num, idx) => {
+        num.value = Array.isArray(variables[key]) ? variables[key][idx] : 0;
+      });
+      syncColor();
+    };
     resetFn = () => {
       const defArr = defaultFor(desc);
       variables[key] = Array.isArray(defArr) ? structuredClone(defArr) : Array(count).fill(0);
       container.querySelectorAll('input').forEach((num, idx) => {
         num.value = Array.isArray(variables[key]) ? variables[key][idx] : 0;
       });
-      updatePreview();
+      syncColor();
+      updatePreview(resetLabel);
       updateModifiedStatus(key, variables[key], row);
     };
 
@@ -318,6 +645,8 @@ function makeControl(key, value, desc){
     const input = document.createElement('input');
     const isNumber = desc && desc.type === 'number';
     input.type = isNumber ? 'number' : 'text';
+    input.id = controlId;
+    labelInput(input);
     if (isNumber) input.inputMode = 'decimal';
     input.value = (typeof value === 'object' && value !== null) ? JSON.stringify(value) : String(value ?? '');
     input.disabled = readonly;
@@ -342,28 +671,40 @@ function makeControl(key, value, desc){
       });
     }
     right.appendChild(input);
+    syncFn = () => {
+      const val = variables[key];
+      input.value = (typeof val === 'object' && val !== null) ? JSON.stringify(val) : String(val ?? '');
+    };
     resetFn = () => {
       const def = defaultFor(desc);
       variables[key] = isNumber ? Number(def) : def;
       input.value = (typeof def === 'object' && def !== null) ? JSON.stringify(def) : String(def ?? '');
-      updatePreview();
+      updatePreview(resetLabel);
       updateModifiedStatus(key, variables[key], row);
     };
   }
 
   if(readonly){
-    const badge = document.createElement('span');
+    const badge = document.createElement('button');
+    badge.type = 'button';
     badge.className = 'badge';
-    badge.textContent = 'readonly';
+    badge.textContent = t('readonly');
+    badge.setAttribute('aria-describedby', 'readonlyTooltip');
     badge.addEventListener('click', (e) => {
       e.stopPropagation();
       if (badge.classList.contains('tooltip-open')) {
         dismissTooltips();
         return;
       }
-      dismissTooltips();
-      badge.classList.add('tooltip-open');
-      positionTooltip(badge);
+      showReadonlyTooltip(badge);
+    });
+    // Keyboard focus opens it too; a mouse click is handled above
+    badge.addEventListener('focus', () => {
+      if (badge.matches(':focus-visible')) showReadonlyTooltip(badge);
+    });
+    badge.addEventListener('blur', dismissTooltips);
+    badge.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && badge.classList.contains('tooltip-open')) dismissTooltips();
     });
     right.appendChild(badge);
   }
@@ -371,7 +712,8 @@ function makeControl(key, value, desc){
   if(desc && desc.previewURL) {
     const previewBtn = document.createElement('button');
     previewBtn.className = 'preview-btn';
-    previewBtn.title = 'Show Preview';
+    previewBtn.title = t('Show Preview');
+    previewBtn.setAttribute('aria-label', t('Show a preview of {name}', { name: controlName }));
     previewBtn.innerHTML = `
       <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
         <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
@@ -379,18 +721,36 @@ function makeControl(key, value, desc){
       </svg>
     `;
     previewBtn.addEventListener('click', () => {
-      const rawTitle = desc.label || (key.length > 20 ? key.slice(0, 20) + '...' : key);
+      const rawTitle = descLabel(key, desc) || (key.length > 20 ? key.slice(0, 20) + '...' : key);
       previewTitle.textContent = rawTitle;
       previewImage.src = desc.previewURL;
-      previewModal.classList.add('visible');
+      openModal(previewModal, closePreviewModal);
     });
     right.appendChild(previewBtn);
   }
 
+  const layoutKey = desc && desc.type === 'number_array' ? layoutKeyFor(key) : null;
+  if(layoutKey) {
+    const layoutBtn = document.createElement('button');
+    layoutBtn.className = 'preview-btn';
+    layoutBtn.title = t('Edit position visually');
+    layoutBtn.setAttribute('aria-label', t('Edit the position of {name} visually', { name: controlName }));
+    layoutBtn.innerHTML = `
+      <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="5 9 2 12 5 15"></polyline><polyline points="9 5 12 2 15 5"></polyline>
+        <polyline points="15 19 12 22 9 19"></polyline><polyline points="19 9 22 12 19 15"></polyline>
+        <line x1="2" y1="12" x2="22" y2="12"></line><line x1="12" y1="2" x2="12" y2="22"></line>
+      </svg>
+    `;
+    layoutBtn.addEventListener('click', () => openLayoutEditor(layoutKey));
+    right.appendChild(layoutBtn);
+  }
+
   if(!readonly && resetFn) {
     const resetBtn = document.createElement('button');
     resetBtn.className = 'preview-btn reset-btn';
-    resetBtn.title = 'Reset to default';
+    resetBtn.title = t('Reset to default');
+    resetBtn.setAttribute('aria-label', resetLabel);
     resetBtn.innerHTML = `
       <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
         <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/>
@@ -405,22 +765,315 @@ function makeControl(key, value, desc){
     }
   }
 
+  row.dataset.key = key;
+  // Typing something like "1e" leaves the number box with badInput and an empty value
+  row.querySelectorAll('input[type="number"]').forEach(input => {
+    input.addEventListener('input', () => {
+      const bad = [...row.querySelectorAll('input[type="number"]')].some(i => i.validity.badInput);
+      if(bad) badInputKeys.add(key);
+      else badInputKeys.delete(key);
+      updateRowValidation(key, row);
+      updateInvalidCount();
+    });
+    input.addEventListener('blur', () => {
+      badInputKeys.delete(key);
+      updateRowValidation(key, row);
+      updateInvalidCount();
+    });
+  });
+
+  controlSyncers.set(key, () => {
+    if(syncFn) syncFn();
+    updateModifiedStatus(key, variables[key], row);
+  });
+
   // Initial modified status
   updateModifiedStatus(key, value, row);
 
   row.appendChild(right);
+
+  // Longer explanations stay folded under the row until asked for (or matched by the search)
+  if(descDetails(key, desc)){
+    const details = document.createElement('details');
+    details.className = 'more-info';
+    details.open = !!(highlights.details && highlights.details.length);
+    const summary = document.createElement('summary');
+    summary.textContent = t('More info');
+    const body = document.createElement('div');
+    body.className = 'help';
+    body.innerHTML = helpMarkupHTML(descDetails(key, desc), highlights.details);
+    details.append(summary, body);
+    row.appendChild(details);
+  }
   return row;
 }
 
+// Colours are stored by the pack as [r, g, b] or [r, g, b, a] floats in 0-1.
+function isColorDescriptor(desc){
+  return !!desc && desc.type === 'number_array' && desc.input === 'color' &&
+    (desc.count === 3 || desc.count === 4);
+}
+
+function floatToHexByte(v){
+  const n = Math.round(Math.min(1, Math.max(0, Number(v) || 0)) * 255);
+  return n.toString(16).padStart(2, '0');
+}
+
+function colorArrayToHex(arr, withAlpha){
+  const channels = withAlpha ? [0, 1, 2, 3] : [0, 1, 2];
+  return '#' + channels.map(i => floatToHexByte(Array.isArray(arr) ? arr[i] : 0)).join('');
+}
+
+// "#rrggbb" or "#rrggbbaa" -> floats rounded to 3 decimals, which round-trips
+// through 8-bit hex without drifting.
+function hexToColorFloats(hex){
+  const m = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(String(hex).trim());
+  if(!m) return null;
+  return (m[1] + (m[2] || '')).match(/../g).map(h => Math.round(parseInt(h, 16) / 255 * 1000) / 1000);
+}
+
+// Swatch/picker, hex field and (for RGBA) an alpha slider. getValue() returns the
+// current array, onChange(values) receives the channels that changed.
+// Values are only written when the user edits here, so untouched colours keep
+// their exact floats.
+function makeColorTools(count, getValue, onChange, readonly){
+  const hasAlpha = count === 4;
+  const wrap = document.createElement('div');
+  wrap.className = 'color-tools';
+
+  const picker = document.createElement('input');
+  picker.type = 'color';
+  picker.className = 'color-swatch';
+  picker.title = t('Pick a colour');
+  picker.disabled = readonly;
+
+  const hex = document.createElement('input');
+  hex.type = 'text';
+  hex.className = 'color-hex';
+  hex.spellcheck = false;
+  hex.maxLength = hasAlpha ? 9 : 7;
+  hex.setAttribute('aria-label', t('Hex colour'));
+  hex.disabled = readonly;
+
+  wrap.appendChild(picker);
+  wrap.appendChild(hex);
+
+  let alpha = null;
+  let alphaValue = null;
+  if(hasAlpha){
+    alpha = document.createElement('input');
+    alpha.type = 'range';
+    alpha.className = 'color-alpha';
+    alpha.min = 0; alpha.max = 1; alpha.step = 0.01;
+    alpha.title = t('Alpha');
+    alpha.disabled = readonly;
+    alphaValue = document.createElement('span');
+    alphaValue.className = 'color-alpha-value';
+    wrap.appendChild(alpha);
+    wrap.appendChild(alphaValue);
+  }
+
+  function sync(){
+    const arr = getValue();
+    picker.value = colorArrayToHex(arr, false);
+    if(document.activeElement !== hex) hex.value = colorArrayToHex(arr, hasAlpha);
+    hex.classList.remove('invalid');
+    if(alpha){
+      const a = Array.isArray(arr) ? Number(arr[3]) || 0 : 0;
+      alpha.value = a;
+      alphaValue.textContent = a;
+    }
+    wrap.style.setProperty('--swatch-alpha', hasAlpha && Array.isArray(arr) ? Math.min(1, Math.max(0, Number(arr[3]) || 0)) : 1);
+  }
+
+  picker.addEventListener('input', () => {
+    onChange(hexToColorFloats(picker.value));
+    sync();
+  });
+  hex.addEventListener('input', () => {
+    const floats = hexToColorFloats(hex.value);
+    hex.classList.toggle('invalid', !floats);
+    if(!floats) return;
+    onChange(floats);
+    sync();
+  });
+  hex.addEventListener('blur', () => {
+    hex.value = colorArrayToHex(getValue(), hasAlpha);
+    hex.classList.remove('invalid');
+  });
+  if(alpha){
+    alpha.addEventListener('input', () => {
+      const arr = getValue();
+      onChange([...(Array.isArray(arr) ? arr.slice(0, 3) : [0, 0, 0]), Number(alpha.value)]);
+      sync();
+    });
+  }
+
+  sync();
+  return { el: wrap, sync };
+}
+
+// Search: every word of the query has to match the key, the label, the help or the
+// details (in the active language, or the config's own English so a term from the docs
+// still works), allowing small typos. Returns { score, ranges: { key, label, help, details } }
+// with the matched ranges of the shown texts (the help and details without markup), or null.
+const SEARCH_FIELD_WEIGHTS = { label: 3, key: 2, help: 1, details: 1 };
+
+// Lower case with separators as spaces, keeping the length so ranges fit the original
+function normalizeSearchText(text){
+  const lower = text.toLowerCase();
+  return (lower.length === text.length ? lower : text).replace(/[_\-:$.]/g, ' ');
+}
+
+// Typos for search: edit distance where swapping two neighbouring letters ("opactiy")
+// also counts as one edit (optimal string alignment)
+function typoDistance(a, b){
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for(let j = 1; j <= b.length; j++) d[0][j] = j;
+  for(let i = 1; i <= a.length; i++){
+    for(let j = 1; j <= b.length; j++){
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if(i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Best match of one query word in a normalised text: a substring beats a word start
+// within the typo budget, which beats the letters in order over a short stretch
+function matchSearchWord(word, text){
+  const index = text.indexOf(word);
+  if(index !== -1){
+    return { score: index === 0 || text[index - 1] === ' ' ? 10 : 8, ranges: [[index, index + word.length]] };
+  }
+  const allowed = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  let best = null;
+  for(const m of allowed ? text.matchAll(/\S+/g) : []){
+    for(let len = Math.max(1, word.length - allowed); len <= Math.min(m[0].length, word.length + allowed); len++){
+      const score = 6 - 2 * typoDistance(word, m[0].slice(0, len));
+      if(score >= 6 - 2 * allowed && (!best || score > best.score)) best = { score, ranges: [[m.index, m.index + len]] };
+    }
+  }
+  if(best || word.length < 3) return best;
+  for(let start = text.indexOf(word[0]); start !== -1; start = text.indexOf(word[0], start + 1)){
+    const ranges = [[start, start + 1]];
+    let pos = start + 1;
+    for(let i = 1; i < word.length && pos !== 0; i++){
+      pos = text.indexOf(word[i], pos) + 1;
+      if(pos) ranges.push([pos - 1, pos]);
+    }
+    if(pos && pos - start <= word.length * 2) return { score: 3, ranges };
+  }
+  return null;
+}
+
 function matchesSearch(key, desc, searchTerm){
-  if(!searchTerm) return true;
-  if(desc && desc.type === 'section') return false;
-  const normalize = s => s.toLowerCase().replace(/[_ ]/g, ' ');
-  const term = normalize(searchTerm);
-  const keyMatch = normalize(key).includes(term);
-  const labelMatch = desc && desc.label && normalize(desc.label).includes(term);
-  const helpMatch = desc && desc.help && normalize(desc.help).includes(term);
-  return keyMatch || labelMatch || helpMatch;
+  if(!searchTerm) return { score: 0, ranges: {} };
+  if(desc && desc.type === 'section') return null;
+  const label = descLabel(key, desc), help = descHelp(key, desc), details = descDetails(key, desc);
+  const fields = [
+    { field: 'key', text: key, shown: true },
+    { field: 'label', text: label, shown: true },
+    { field: 'help', text: help && helpPlainText(help), shown: true },
+    { field: 'details', text: details && helpPlainText(details), shown: true },
+    { field: 'label', text: desc && desc.label !== label ? desc.label : '', shown: false },
+    { field: 'help', text: desc && desc.help && desc.help !== help ? helpPlainText(desc.help) : '', shown: false },
+    { field: 'details', text: desc && desc.details && desc.details !== details ? helpPlainText(desc.details) : '', shown: false },
+  ].filter(f => f.text).map(f => ({ ...f, text: normalizeSearchText(String(f.text)) }));
+  const result = { score: 0, ranges: {} };
+  for(const word of normalizeSearchText(searchTerm).split(/\s+/).filter(Boolean)){
+    let best = null;
+    fields.forEach(f => {
+      const m = matchSearchWord(word, f.text);
+      if(m && (!best || m.score * SEARCH_FIELD_WEIGHTS[f.field] > best.score)){
+        best = { ...f, ranges: m.ranges, score: m.score * SEARCH_FIELD_WEIGHTS[f.field] };
+      }
+    });
+    if(!best) return null;
+    result.score += best.score;
+    if(best.shown) (result.ranges[best.field] = result.ranges[best.field] || []).push(...best.ranges);
+  }
+  return result;
+}
+
+// matchesSearch for a single text (an action or section name): every word must match
+function matchSearchText(text, searchTerm){
+  const normalized = normalizeSearchText(String(text));
+  const result = { score: 0, ranges: [] };
+  for(const word of normalizeSearchText(searchTerm).split(/\s+/).filter(Boolean)){
+    const m = matchSearchWord(word, normalized);
+    if(!m) return null;
+    result.score += m.score;
+    result.ranges.push(...m.ranges);
+  }
+  return result;
+}
+
+// The chip a variable belongs to: boolean, slider, color, choice (or its plain type)
+function variableKind(desc){
+  if(desc.type === 'number' && desc.input === 'slider') return 'slider';
+  if(isColorDescriptor(desc)) return 'color';
+  return desc.type;
+}
+
+function searchFiltersActive(){
+  const f = searchFilters;
+  return f.kinds.size > 0 || f.modified || f.preview || f.readonly || Boolean(f.section);
+}
+
+function matchesSearchFilters(key, desc, value, sectionKey){
+  const f = searchFilters;
+  if(f.kinds.size && !f.kinds.has(variableKind(desc))) return false;
+  if(f.modified && !isModifiedValue(key, value)) return false;
+  if(f.preview && !desc.previewURL) return false;
+  if(f.readonly && !desc.readonly) return false;
+  return !f.section || f.section === sectionKey;
+}
+
+function escapeHTML(text){
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Escaped text with the search ranges wrapped in <mark>, and a <br> before breakAt
+function highlightHTML(text, ranges = [], breakAt = -1){
+  const marked = new Array(text.length).fill(false);
+  ranges.forEach(([from, to]) => { for(let i = from; i < to && i < text.length; i++) marked[i] = true; });
+  let html = '';
+  let open = false;
+  for(let i = 0; i < text.length; i++){
+    if(i === breakAt){
+      html += (open ? '</mark>' : '') + '<br>';
+      open = false;
+    }
+    if(marked[i] !== open){
+      html += marked[i] ? '<mark>' : '</mark>';
+      open = marked[i];
+    }
+    html += escapeHTML(text[i]);
+  }
+  return open ? html + '</mark>' : html;
+}
+
+// Help markup (see parseHelpMarkup in core.js) as HTML. Every piece of text goes
+// through highlightHTML, so it is escaped; `ranges` are positions in helpPlainText().
+function helpMarkupHTML(text, ranges = []){
+  let offset = 0;
+  const partHTML = part => {
+    const html = highlightHTML(part.text, ranges.map(([from, to]) => [Math.max(0, from - offset), to - offset]).filter(([from, to]) => to > from));
+    offset += part.text.length;
+    if(part.href) return `<a href="${escapeHTML(part.href)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+    if(part.code) return `<code>${html}</code>`;
+    return part.bold ? `<strong>${html}</strong>` : html;
+  };
+  const lineHTML = line => {
+    const html = line.map(partHTML).join('');
+    offset++; // the \n between lines
+    return html;
+  };
+  return parseHelpMarkup(text).map(block => block.list ?
+    `<ul>${block.lines.map(line => `<li>${lineHTML(line)}</li>`).join('')}</ul>` :
+    block.lines.map(lineHTML).join('<br>')
+  ).join('');
 }
 
 function makeSection(desc, key){
@@ -434,7 +1087,8 @@ function makeSection(desc, key){
 
   const linkBtn = document.createElement('button');
   linkBtn.className = 'section-link-btn';
-  linkBtn.title = 'Copy link to this section';
+  linkBtn.title = t('Copy link to this section');
+  linkBtn.setAttribute('aria-label', t('Copy link to the {name} section', { name: descLabel(key, desc) || key }));
   linkBtn.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>`;
 
   let linkCopyTimer = null;
@@ -452,16 +1106,16 @@ function makeSection(desc, key){
   });
 
   const title = document.createElement('h3');
-  title.textContent = desc.label || 'Section';
+  title.textContent = descLabel(key, desc) || t('Section');
 
   titleRow.appendChild(linkBtn);
   titleRow.appendChild(title);
   section.appendChild(titleRow);
 
-  if(desc.help){
-    const helpText = document.createElement('p');
+  if(descHelp(key, desc)){
+    const helpText = document.createElement('div');
     helpText.className = 'section-help';
-    helpText.textContent = desc.help;
+    helpText.innerHTML = helpMarkupHTML(descHelp(key, desc));
     section.appendChild(helpText);
   }
   return section;
@@ -470,135 +1124,518 @@ function makeSection(desc, key){
 function renderControlsForVariables(){
   controlsEl.innerHTML = '';
   sidebarNav.innerHTML = '';
+  badInputKeys.clear();
+  controlSyncers.clear();
 
   const liveJsonNavItem = document.createElement('a');
   liveJsonNavItem.className = 'nav-item nav-item-live-json';
-  liveJsonNavItem.textContent = 'Live JSON';
+  liveJsonNavItem.href = '#jsonPreview';
+  liveJsonNavItem.textContent = t('Live JSON');
   liveJsonNavItem.addEventListener('click', (e) => {
     e.preventDefault();
-    const target = document.getElementById('jsonPreview');
-    if (target) {
-      const topBarHeight = document.querySelector('.top-bar').offsetHeight;
-      const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - topBarHeight - 20;
-      window.scrollTo({ top: targetPosition, behavior: 'smooth' });
-      toggleSidebar(false);
-    }
+    scrollToLiveJson();
   });
   sidebarNav.appendChild(liveJsonNavItem);
 
   const vars = config.variables || {};
   const keys = Object.keys(vars);
   if(keys.length === 0){
-    controlsEl.textContent = 'No variables configured. Add entries to config/variables-config.json';
+    controlsEl.textContent = configDiagnostics.some(d => d.level === 'error') ?
+      t('The configuration could not be used, see the config check above.') :
+      t('No variables configured. Add entries to config/variables-config.json');
     return;
   }
-  let visibleCount = 0;
+  renderSectionFilter();
+  searchCursor = -1;
+  // Rows are collected per section, so search results can be ranked and still
+  // appear under their section headers
+  const filtering = Boolean(currentSearchTerm) || searchFiltersActive();
+  let group = { key: null, desc: null, rows: [] };
+  let groups = [group];
   keys.forEach(k => {
     const desc = vars[k] || {};
     if(desc.type === 'section'){
-      if(!currentSearchTerm){
-        const linkName = desc.link_name || k;
-        const sectionId = `section-${linkName}`;
-        const sectionEl = makeSection(desc, k);
-        sectionEl.id = sectionId;
-        controlsEl.appendChild(sectionEl);
-
-        // Add to sidebar
-        const navItem = document.createElement('a');
-        navItem.className = 'nav-item';
-        navItem.textContent = desc.label || 'Section';
-        navItem.addEventListener('click', (e) => {
-          e.preventDefault();
-          const target = document.getElementById(sectionId);
-          if (target) {
-            const topBarHeight = document.querySelector('.top-bar').offsetHeight;
-            const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - topBarHeight - 20;
-            window.scrollTo({
-              top: targetPosition,
-              behavior: 'smooth'
-            });
-            toggleSidebar(false);
-          }
-        });
-        sidebarNav.appendChild(navItem);
-      }
+      group = { key: k, desc, rows: [] };
+      groups.push(group);
       return;
     }
-    if(!matchesSearch(k, desc, currentSearchTerm)) return;
+    const match = matchesSearch(k, desc, currentSearchTerm);
+    if(!match) return;
     const val = variables[k] !== undefined ? variables[k] : defaultFor(desc);
-    controlsEl.appendChild(makeControl(k, val, desc));
-    visibleCount++;
+    if(!matchesSearchFilters(k, desc, val, group.key)) return;
+    group.rows.push({ key: k, desc, val, match });
+  });
+  if(filtering) groups = groups.filter(g => g.rows.length);
+  if(currentSearchTerm){
+    const best = g => Math.max(...g.rows.map(r => r.match.score));
+    groups.forEach(g => g.rows.sort((a, b) => b.match.score - a.match.score));
+    groups.sort((a, b) => best(b) - best(a));
+  }
+  let visibleCount = 0;
+  groups.forEach(g => {
+    if(g.desc) appendSection(g.key, g.desc);
+    g.rows.forEach(r => {
+      controlsEl.appendChild(makeControl(r.key, r.val, r.desc, r.match.ranges));
+      visibleCount++;
+    });
   });
-  if(visibleCount === 0 && currentSearchTerm){
-    controlsEl.textContent = 'No variables match your search.';
+  function appendSection(k, desc){
+    const linkName = desc.link_name || k;
+    const sectionId = `section-${linkName}`;
+    const sectionEl = makeSection(desc, k);
+    sectionEl.id = sectionId;
+    controlsEl.appendChild(sectionEl);
+
+    // Add to sidebar
+    const navItem = document.createElement('a');
+    navItem.className = 'nav-item';
+    navItem.href = '#' + encodeURIComponent(linkName);
+    navItem.textContent = descLabel(k, desc) || t('Section');
+    navItem.addEventListener('click', (e) => {
+      e.preventDefault();
+      scrollToSection(k);
+    });
+    sidebarNav.appendChild(navItem);
   }
+  if(visibleCount === 0 && filtering){
+    const onlyModified = searchFilters.modified && !currentSearchTerm && !searchFilters.kinds.size &&
+      !searchFilters.preview && !searchFilters.readonly && !searchFilters.section;
+    controlsEl.textContent = onlyModified ? t('No variables differ from the defaults yet.') : t('No variables match your search.');
+  }
+  applyDependencyState();
+  updateInvalidCount();
+}
+
+// Dialogs (the modals and the sidebar): the open ones are stacked, the top one keeps
+// Tab inside it and Escape runs its `close`. Focus moves into a dialog when it opens
+// and goes back to what had it when it closes.
+const dialogStack = [];
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+function focusableIn(dialog){
+  return [...dialog.querySelectorAll(FOCUSABLE)].filter(el => !el.disabled && !el.hidden && el.getClientRects().length);
+}
+
+function holdFocus(dialog, close, focusEl = null){
+  if(dialogStack.some(d => d.dialog === dialog)) return;
+  dialogStack.push({ dialog, close, opener: document.activeElement });
+  dismissTooltips();
+  const target = focusEl || focusableIn(dialog).find(el => !el.classList.contains('close-btn')) || focusableIn(dialog)[0];
+  if(target) target.focus();
+}
+
+function releaseFocus(dialog){
+  const index = dialogStack.findIndex(d => d.dialog === dialog);
+  if(index === -1) return;
+  const [{ opener }] = dialogStack.splice(index, 1);
+  // Only the top dialog gives focus back, a dialog below it keeps its own
+  if(index === dialogStack.length && opener && opener.isConnected && opener.getClientRects().length && dialog.contains(document.activeElement)) opener.focus();
 }
 
-function toggleSidebar(open) {
+function openModal(modal, close, focusEl){
+  modal.classList.add('visible');
+  holdFocus(modal, close, focusEl);
+}
+
+function closeModal(modal){
+  modal.classList.remove('visible');
+  releaseFocus(modal);
+}
+
+document.addEventListener('keydown', (e) => {
+  const top = dialogStack[dialogStack.length - 1];
+  if(!top || e.defaultPrevented) return;
+  if(e.key === 'Escape'){
+    e.preventDefault();
+    top.close();
+  } else if(e.key === 'Tab'){
+    const items = focusableIn(top.dialog);
+    if(!items.length) return e.preventDefault();
+    const first = items[0];
+    const last = items[items.length - 1];
+    if(!top.dialog.contains(document.activeElement)){
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if(e.shiftKey && document.activeElement === first){
+      e.preventDefault();
+      last.focus();
+    } else if(!e.shiftKey && document.activeElement === last){
+      e.preventDefault();
+      first.focus();
+    }
+  }
+});
+
+function toggleSidebar(open = !sidebar.classList.contains('open')) {
+  if (open === sidebar.classList.contains('open')) return;
+  sidebar.inert = !open;
+  [menuBtn, floatingMenuBtn].forEach(btn => btn.setAttribute('aria-expanded', String(open)));
   if (open) {
     sidebar.classList.add('open');
     sidebarOverlay.classList.add('visible');
     document.body.style.overflow = 'hidden';
+    holdFocus(sidebar, () => toggleSidebar(false));
   } else {
     sidebar.classList.remove('open');
     sidebarOverlay.classList.remove('visible');
     document.body.style.overflow = '';
+    releaseFocus(sidebar);
+  }
+}
+
+function scrollToLiveJson(){
+  const topBarHeight = document.querySelector('.top-bar').offsetHeight;
+  window.scrollTo({ top: jsonPreview.getBoundingClientRect().top + window.pageYOffset - topBarHeight - 20, behavior: 'smooth' });
+  toggleSidebar(false);
+  jsonPreview.focus({ preventScroll: true });
+}
+
+// Scroll to a section header, clearing the search and filters if they hide it
+function scrollToSection(key){
+  const desc = (config.variables || {})[key];
+  if(!desc) return;
+  const sectionId = `section-${desc.link_name || key}`;
+  if(!document.getElementById(sectionId) && (currentSearchTerm || searchFiltersActive())) clearSearch();
+  const target = document.getElementById(sectionId);
+  if(!target) return;
+  const topBarHeight = document.querySelector('.top-bar').offsetHeight;
+  window.scrollTo({ top: target.getBoundingClientRect().top + window.pageYOffset - topBarHeight - 20, behavior: 'smooth' });
+  toggleSidebar(false);
+  // Keyboard users continue from the section, not from the menu button
+  target.tabIndex = -1;
+  target.focus({ preventScroll: true });
+}
+
+// Scroll to a variable's row and focus its input, clearing the search and filters if they hide the row
+function scrollToVariable(key){
+  const findRow = () => [...controlsEl.querySelectorAll('.control-row')].find(r => r.dataset.key === key && !r.hidden);
+  let row = findRow();
+  if(!row && (currentSearchTerm || searchFiltersActive())){
+    clearSearch();
+    row = findRow();
   }
+  if(!row) return;
+  toggleSidebar(false);
+  const topBarHeight = document.querySelector('.top-bar').offsetHeight;
+  window.scrollTo({ top: row.getBoundingClientRect().top + window.pageYOffset - topBarHeight - 20, behavior: 'smooth' });
+  const input = row.querySelector('input:not([disabled]), select:not([disabled])');
+  if(input) input.focus({ preventScroll: true });
 }
 
+sidebarInvalidBtn.addEventListener('click', () => {
+  const first = collectInvalidValues()[0];
+  if(first) scrollToVariable(first.key);
+});
+
 menuBtn.addEventListener('click', () => toggleSidebar(true));
 closeSidebarBtn.addEventListener('click', () => toggleSidebar(false));
 sidebarOverlay.addEventListener('click', () => toggleSidebar(false));
 
-closePreviewBtn.addEventListener('click', () => {
-  previewModal.classList.remove('visible');
+function closePreviewModal(){
+  closeModal(previewModal);
   previewImage.src = '';
-});
+}
+
+closePreviewBtn.addEventListener('click', closePreviewModal);
 
 previewModal.addEventListener('click', (e) => {
-  if (e.target === previewModal) {
-    previewModal.classList.remove('visible');
-    previewImage.src = '';
-  }
+  if (e.target === previewModal) closePreviewModal();
 });
 
-// Scroll to top functionality
-const scrollToTopBtn = document.getElementById('scrollToTop');
-const floatingMenuBtn = document.getElementById('floatingMenuBtn');
-const topBar = document.querySelector('.top-bar');
+// Visual layout editor for offset/size arrays. Offsets with a "layout" descriptor
+// ({ anchor | from + to, size: key | [w, h] }) are drawn as boxes on a screen
+// measured in UI units, the same way the game resolves anchor + offset.
+const LAYOUT_SCREENS = {
+  desktop: { label: 'Desktop (16:9)', width: 480, height: 270 }, // i18n
+  tablet: { label: 'Tablet (4:3)', width: 360, height: 270 }, // i18n
+  phone: { label: 'Phone (19.5:9)', width: 585, height: 270 }, // i18n
+};
+const layoutModal = document.getElementById('layoutModal');
+const closeLayoutBtn = document.getElementById('closeLayout');
+const layoutStage = document.getElementById('layoutStage');
+const layoutScreenSelect = document.getElementById('layoutScreenSelect');
+const layoutSnapSelect = document.getElementById('layoutSnapSelect');
+const layoutShowAll = document.getElementById('layoutShowAll');
+const layoutReadout = document.getElementById('layoutReadout');
+const layoutElementList = document.getElementById('layoutElementList');
+
+let layoutActive = null;
+let layoutShown = new Set();
+let layoutBoxes = {}; // offset key -> box element
+
+Object.entries(LAYOUT_SCREENS).forEach(([id, screen]) => {
+  const o = document.createElement('option');
+  o.value = id;
+  o.textContent = screen.label;
+  o.dataset.i18n = '';
+  layoutScreenSelect.appendChild(o);
+});
 
-function getScrollY() {
-  return window.scrollY || document.documentElement.scrollTop || document.body.scrollTop || 0;
+function layoutEntries(){
+  const vars = config.variables || {};
+  return Object.keys(vars).filter(k => vars[k] && vars[k].type === 'number_array' && vars[k].layout);
 }
 
-function onScroll() {
-  const scrollY = getScrollY();
-  const topBarBottom = topBar.offsetTop + topBar.offsetHeight;
-  scrollToTopBtn.classList.toggle('visible', scrollY > 300);
-  floatingMenuBtn.classList.toggle('visible', scrollY >= topBarBottom);
+// The offset key whose layout covers this key (itself, or the offset using it as size)
+function layoutKeyFor(key){
+  const vars = config.variables || {};
+  if(vars[key] && vars[key].layout) return key;
+  return layoutEntries().find(k => vars[k].layout.size === key) || null;
 }
 
-window.addEventListener('scroll', onScroll);
-document.addEventListener('scroll', onScroll);
+// "bottom_middle" -> [0.5, 1] as fractions of the width and height
+function anchorFractions(anchor){
+  const [v, h] = String(anchor || 'top_left').split('_');
+  const frac = { left: 0, top: 0, middle: 0.5, center: 0.5, right: 1, bottom: 1 };
+  return [frac[h] ?? 0, frac[v] ?? 0];
+}
 
-const readonlyTooltip = document.createElement('span');
-readonlyTooltip.id = 'readonlyTooltip';
-readonlyTooltip.textContent = 'This variable is important for compatibility and changing it may cause unexpected behavior.';
-document.body.appendChild(readonlyTooltip);
+function layoutSize(lay){
+  if(Array.isArray(lay.size)) return lay.size;
+  const v = variables[lay.size];
+  return Array.isArray(v) ? v : [16, 16];
+}
 
-function positionTooltip(badge) {
-  const margin = 8;
-  const gap = 10;
-  const vw = window.innerWidth;
-  const vh = window.innerHeight;
-  const br = badge.getBoundingClientRect();
-  const tw = Math.min(220, vw - margin * 2);
+function layoutRect(key, screen){
+  const lay = config.variables[key].layout;
+  const size = layoutSize(lay);
+  const offset = Array.isArray(variables[key]) ? variables[key] : [0, 0];
+  const [fx, fy] = anchorFractions(variables[lay.from || lay.anchor]);
+  const [tx, ty] = anchorFractions(variables[lay.to || lay.anchor]);
+  return {
+    x: tx * screen.width - fx * size[0] + Number(offset[0] || 0),
+    y: ty * screen.height - fy * size[1] + Number(offset[1] || 0),
+    w: Number(size[0]) || 0,
+    h: Number(size[1]) || 0,
+  };
+}
 
-  readonlyTooltip.style.width = tw + 'px';
-  readonlyTooltip.classList.remove('tt-above', 'tt-right', 'tt-left', 'tt-visible');
-  readonlyTooltip.classList.add('tt-visible');
+function snapLayoutValue(v){
+  const snap = Number(layoutSnapSelect.value);
+  return snap > 0 ? Math.round(v / snap) * snap : Math.round(v * 100) / 100;
+}
 
-  const spaceRight = vw - br.right - gap - margin;
+function layoutLabel(key){
+  return descLabel(key, config.variables[key]) || key;
+}
+
+function updateLayoutReadout(){
+  if(!layoutActive) return;
+  const lay = config.variables[layoutActive].layout;
+  layoutReadout.textContent = t(Array.isArray(lay.size) ? '{name}: offset {offset}, size {size} (approximate)' : '{name}: offset {offset}, size {size}', {
+    name: layoutLabel(layoutActive), offset: JSON.stringify(variables[layoutActive]), size: JSON.stringify(layoutSize(lay)),
+  });
+}
+
+function positionLayoutBoxes(){
+  const screen = LAYOUT_SCREENS[layoutScreenSelect.value];
+  Object.entries(layoutBoxes).forEach(([key, box]) => {
+    const r = layoutRect(key, screen);
+    box.style.left = (r.x / screen.width * 100) + '%';
+    box.style.top = (r.y / screen.height * 100) + '%';
+    box.style.width = (r.w / screen.width * 100) + '%';
+    box.style.height = (r.h / screen.height * 100) + '%';
+  });
+  updateLayoutReadout();
+}
+
+function startLayoutDrag(e, key, box){
+  const desc = config.variables[key];
+  if(desc.readonly || e.button > 0) return;
+  e.preventDefault();
+  setLayoutActive(key);
+  const lay = desc.layout;
+  const resizing = e.target.classList.contains('layout-resize');
+  const sizeKey = typeof lay.size === 'string' ? lay.size : null;
+  const screen = LAYOUT_SCREENS[layoutScreenSelect.value];
+  const scale = screen.width / layoutStage.getBoundingClientRect().width;
+  const start = { x: e.clientX, y: e.clientY, offset: [...(variables[key] || [0, 0])], size: [...layoutSize(lay)] };
+  box.setPointerCapture(e.pointerId);
+
+  const onMove = (ev) => {
+    const dx = (ev.clientX - start.x) * scale;
+    const dy = (ev.clientY - start.y) * scale;
+    if(resizing && sizeKey){
+      variables[sizeKey] = [Math.max(1, snapLayoutValue(start.size[0] + dx)), Math.max(1, snapLayoutValue(start.size[1] + dy))];
+    } else {
+      variables[key] = [snapLayoutValue(start.offset[0] + dx), snapLayoutValue(start.offset[1] + dy)];
+    }
+    updatePreview();
+    positionLayoutBoxes();
+  };
+  const onUp = () => {
+    box.removeEventListener('pointermove', onMove);
+    box.removeEventListener('pointerup', onUp);
+    box.removeEventListener('pointercancel', onUp);
+  };
+  box.addEventListener('pointermove', onMove);
+  box.addEventListener('pointerup', onUp);
+  box.addEventListener('pointercancel', onUp);
+}
+
+// Keyboard version of dragging: arrow keys move the box by the snap step (1 unit
+// with snapping off), Shift+arrow keys resize it
+function nudgeLayoutBox(e, key){
+  const dir = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+  const desc = config.variables[key];
+  if(!dir || desc.readonly || e.altKey || e.ctrlKey || e.metaKey) return;
+  e.preventDefault();
+  setLayoutActive(key);
+  const step = Number(layoutSnapSelect.value) || 1;
+  const sizeKey = typeof desc.layout.size === 'string' ? desc.layout.size : null;
+  if(e.shiftKey){
+    if(!sizeKey) return;
+    const size = layoutSize(desc.layout);
+    variables[sizeKey] = [Math.max(1, snapLayoutValue(Number(size[0]) + dir[0] * step)), Math.max(1, snapLayoutValue(Number(size[1]) + dir[1] * step))];
+  } else {
+    const offset = Array.isArray(variables[key]) ? variables[key] : [0, 0];
+    variables[key] = [snapLayoutValue(Number(offset[0] || 0) + dir[0] * step), snapLayoutValue(Number(offset[1] || 0) + dir[1] * step)];
+  }
+  updatePreview();
+  positionLayoutBoxes();
+}
+
+function setLayoutActive(key){
+  layoutActive = key;
+  Object.entries(layoutBoxes).forEach(([k, box]) => box.classList.toggle('active', k === key));
+  layoutElementList.querySelectorAll('.layout-element').forEach(el => el.classList.toggle('active', el.dataset.key === key));
+  updateLayoutReadout();
+}
+
+function renderLayoutStage(){
+  const screen = LAYOUT_SCREENS[layoutScreenSelect.value];
+  layoutStage.style.aspectRatio = `${screen.width} / ${screen.height}`;
+  // 24 UI unit grid
+  layoutStage.style.backgroundSize = `${2400 / screen.width}% ${2400 / screen.height}%`;
+  layoutStage.innerHTML = '';
+  layoutBoxes = {};
+  layoutEntries().filter(k => layoutShown.has(k) || k === layoutActive).forEach(key => {
+    const desc = config.variables[key];
+    const box = document.createElement('div');
+    box.className = 'layout-box';
+    if(desc.readonly) box.classList.add('readonly');
+    const label = document.createElement('span');
+    label.textContent = layoutLabel(key);
+    box.appendChild(label);
+    if(typeof desc.layout.size === 'string' && !desc.readonly){
+      const handle = document.createElement('span');
+      handle.className = 'layout-resize';
+      handle.title = t('Drag to resize');
+      box.appendChild(handle);
+    }
+    box.tabIndex = desc.readonly ? -1 : 0;
+    box.setAttribute('aria-label', layoutLabel(key));
+    box.setAttribute('aria-describedby', 'layoutReadout');
+    box.addEventListener('pointerdown', (e) => startLayoutDrag(e, key, box));
+    box.addEventListener('focus', () => setLayoutActive(key));
+    box.addEventListener('keydown', (e) => nudgeLayoutBox(e, key));
+    layoutStage.appendChild(box);
+    layoutBoxes[key] = box;
+  });
+  positionLayoutBoxes();
+  setLayoutActive(layoutActive);
+}
+
+function renderLayoutElementList(){
+  layoutElementList.innerHTML = '';
+  layoutEntries().forEach(key => {
+    const item = document.createElement('label');
+    item.className = 'layout-element';
+    item.dataset.key = key;
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = layoutShown.has(key) || key === layoutActive;
+    check.addEventListener('change', () => {
+      if(check.checked) layoutShown.add(key);
+      else layoutShown.delete(key);
+      if(!check.checked && key === layoutActive) layoutActive = [...layoutShown][0] || key;
+      renderLayoutStage();
+    });
+    const name = document.createElement('span');
+    name.textContent = layoutLabel(key);
+    name.addEventListener('click', (e) => {
+      e.preventDefault();
+      layoutShown.add(key);
+      check.checked = true;
+      layoutActive = key;
+      renderLayoutStage();
+    });
+    item.appendChild(check);
+    item.appendChild(name);
+    layoutElementList.appendChild(item);
+  });
+}
+
+function openLayoutEditor(key){
+  layoutActive = key;
+  layoutShown = new Set(layoutShowAll.checked ? layoutEntries() : [key]);
+  renderLayoutElementList();
+  openModal(layoutModal, closeLayoutEditor);
+  renderLayoutStage();
+}
+
+function closeLayoutEditor(){
+  closeModal(layoutModal);
+  // Bring the number inputs up to date with what was dragged
+  renderControlsForVariables();
+}
+
+layoutScreenSelect.addEventListener('change', renderLayoutStage);
+layoutShowAll.addEventListener('change', () => {
+  layoutShown = new Set(layoutShowAll.checked ? layoutEntries() : [layoutActive]);
+  renderLayoutElementList();
+  renderLayoutStage();
+});
+closeLayoutBtn.addEventListener('click', closeLayoutEditor);
+layoutModal.addEventListener('click', (e) => {
+  if (e.target === layoutModal) closeLayoutEditor();
+});
+
+// Scroll to top functionality
+const scrollToTopBtn = document.getElementById('scrollToTop');
+const floatingMenuBtn = document.getElementById('floatingMenuBtn');
+const topBar = document.querySelector('.top-bar');
+
+function getScrollY() {
+  return window.scrollY || document.documentElement.scrollTop || document.body.scrollTop || 0;
+}
+
+function onScroll() {
+  const scrollY = getScrollY();
+  const topBarBottom = topBar.offsetTop + topBar.offsetHeight;
+  scrollToTopBtn.classList.toggle('visible', scrollY > 300);
+  floatingMenuBtn.classList.toggle('visible', scrollY >= topBarBottom);
+}
+
+window.addEventListener('scroll', onScroll);
+document.addEventListener('scroll', onScroll);
+
+const readonlyTooltip = document.createElement('span');
+readonlyTooltip.id = 'readonlyTooltip';
+readonlyTooltip.textContent = 'This variable is important for compatibility and changing it may cause unexpected behavior.'; // i18n
+readonlyTooltip.dataset.i18n = '';
+readonlyTooltip.setAttribute('role', 'tooltip');
+document.body.appendChild(readonlyTooltip);
+
+function showReadonlyTooltip(badge) {
+  dismissTooltips();
+  badge.classList.add('tooltip-open');
+  positionTooltip(badge);
+}
+
+function positionTooltip(badge) {
+  const margin = 8;
+  const gap = 10;
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  const br = badge.getBoundingClientRect();
+  const tw = Math.min(220, vw - margin * 2);
+
+  readonlyTooltip.style.width = tw + 'px';
+  readonlyTooltip.classList.remove('tt-above', 'tt-right', 'tt-left', 'tt-visible');
+  readonlyTooltip.classList.add('tt-visible');
+
+  const spaceRight = vw - br.right - gap - margin;
   const spaceLeft = br.left - gap - margin;
   const spaceAbove = br.top - gap - margin;
 
@@ -651,21 +1688,9 @@ scrollToTopBtn.addEventListener('click', () => {
   document.body.scrollTo({ top: 0, behavior: 'smooth' });
 });
 
-// Always return an object with keys from config.variables using source if present,
-// otherwise falling back to desc.default or a sensible default.
-function buildSanitizedFromSource(source){
-  const out = {};
-  const vars = config.variables || {};
-  Object.keys(vars).forEach(k => {
-    const desc = vars[k];
-    if(desc && desc.type === 'section') return;
-    if(source && Object.prototype.hasOwnProperty.call(source, k)) {
-      out[k] = source[k];
-    } else {
-      out[k] = defaultFor(vars[k]);
-    }
-  });
-  return out;
+function configVersion(){
+  const desc = (config.variables || {})[VERSION_KEY];
+  return desc && desc.default !== undefined ? String(desc.default) : null;
 }
 
 async function loadExampleAndApply(){
@@ -677,17 +1702,17 @@ async function loadExampleAndApply(){
     defaults = buildSanitizedFromSource(src);
     // Save defaults to sessionStorage so they can be inspected if needed
     saveDefaultsToStorage();
-    updatePreview();
+    updatePreview(t('Reload defaults'));
     renderControlsForVariables();
-    status.textContent = 'Example loaded (sanitized to configured keys).';
+    status.textContent = t('Example loaded (sanitized to configured keys).');
   } catch(e) {
     // Fall back to config defaults
     variables = buildSanitizedFromSource(null);
     defaults = buildSanitizedFromSource(null);
     saveDefaultsToStorage();
-    updatePreview();
+    updatePreview(t('Reload defaults'));
     renderControlsForVariables();
-    status.textContent = 'Loaded defaults.';
+    status.textContent = t('Loaded defaults.');
     console.warn('Example load failed', e);
   }
 }
@@ -698,59 +1723,268 @@ function resetToDefaults(){
   const saved = loadUserState();
   if(saved){
     variables = structuredClone(saved);
-    status.textContent = 'Restored last used state (from this tab).';
+    status.textContent = t('Restored last used state (from this tab).');
   } else {
     variables = structuredClone(defaults);
-    status.textContent = 'Reset to defaults.';
+    status.textContent = t('Reset to defaults.');
   }
-  updatePreview();
+  updatePreview(t('Reset to defaults'));
   renderControlsForVariables();
 }
 
-// Pretty print JSON but keep simple arrays of primitives on a single line.
-// - Uses JSON.stringify(obj, null, 2) then collapses arrays that don't contain objects/arrays.
-// This keeps arrays like [0, 1, -0.5] inline while preserving readable indentation elsewhere.
-function prettyPrintJSON(obj){
-  let s = JSON.stringify(obj, null, 2);
-  // Collapse arrays consisting only of primitives (no nested objects/arrays).
-  // Pattern: [\n   <primitive>,\n   <primitive>\n  ]
-  s = s.replace(/\[\n(\s*)([^\[\]\{\}]*?)\n\s*\]/gs, (m, indent, inner) => {
-    // inner contains lines like "0,", "1,", "-0.5," or strings with quotes.
-    // Convert interior newlines + indentation to single spaces, and normalize commas/spaces.
-    const oneLine = inner
-      .replace(/\n\s*/g, ' ')     // join lines with spaces
-      .replace(/,\s*/g, ', ')     // ensure a space after commas
-      .trim();
-    if(oneLine === '') return '[]';
-    return '[' + oneLine + ']';
+// historyLabel names the undo step for bulk actions; single edits are labelled
+// after the variable they change.
+function updatePreview(historyLabel){
+  recordHistory(historyLabel);
+  applyDependencyState();
+  // Don't overwrite what the user is typing in the Live JSON editor
+  if(document.activeElement !== jsonPreview){
+    jsonPreview.value = prettyPrintJSON(exportVariables());
+    clearLiveJSONStatus();
+  }
+  updateChangesCount();
+  updateInvalidCount();
+  // Save user state to sessionStorage after any change so it survives reload
+  saveUserState();
+}
+
+// Undo/redo history. Every change ends in updatePreview(), which diffs the
+// variables against the last recorded state and pushes the changed keys as one step.
+const HISTORY_LIMIT = 200;
+const HISTORY_MERGE_MS = 700;
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const historyToggleBtn = document.getElementById('historyToggleBtn');
+const historyList = document.getElementById('historyList');
+
+let historyBase = null; // variables as of the last recorded step
+let undoStack = [];     // [{ label, changes: { key: { before, after } }, time }]
+let redoStack = [];
+let historyMergeable = false;
+
+function historyLabelFor(keys){
+  if(keys.length !== 1) return tn(keys.length, '{count} value', '{count} values');
+  return descLabel(keys[0], (config.variables || {})[keys[0]]) || keys[0];
+}
+
+function recordHistory(label){
+  if(historyBase === null){
+    historyBase = structuredClone(variables);
+    return;
+  }
+  const changes = {};
+  new Set([...Object.keys(historyBase), ...Object.keys(variables)]).forEach(k => {
+    if(JSON.stringify(historyBase[k]) !== JSON.stringify(variables[k])){
+      changes[k] = { before: structuredClone(historyBase[k]), after: structuredClone(variables[k]) };
+    }
+  });
+  const keys = Object.keys(changes);
+  if(!keys.length) return;
+  const now = Date.now();
+  const top = undoStack[undoStack.length - 1];
+  // Rapid edits of the same value (slider drags, typing) merge into a single step
+  if(!label && historyMergeable && keys.length === 1 && top && top.changes[keys[0]] &&
+     Object.keys(top.changes).length === 1 && now - top.time < HISTORY_MERGE_MS){
+    top.changes[keys[0]].after = changes[keys[0]].after;
+    top.time = now;
+    if(JSON.stringify(top.changes[keys[0]].before) === JSON.stringify(top.changes[keys[0]].after)) undoStack.pop();
+  } else {
+    undoStack.push({ label: label || historyLabelFor(keys), changes, time: now });
+    if(undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  }
+  historyMergeable = !label;
+  redoStack = [];
+  historyBase = structuredClone(variables);
+  renderHistory();
+}
+
+function resetHistory(){
+  undoStack = [];
+  redoStack = [];
+  historyMergeable = false;
+  historyBase = structuredClone(variables);
+  renderHistory();
+}
+
+function applyHistoryValues(changes, side){
+  Object.keys(changes).forEach(k => {
+    const v = changes[k][side];
+    if(v === undefined) delete variables[k];
+    else variables[k] = structuredClone(v);
   });
-  return s;
 }
 
-function updatePreview(){
-  jsonPreview.value = prettyPrintJSON(variables);
-  // Save user state to sessionStorage after any change so it survives reload
-  saveUserState();
+function stepUndo(){
+  const entry = undoStack.pop();
+  if(!entry) return null;
+  applyHistoryValues(entry.changes, 'before');
+  redoStack.push(entry);
+  return entry;
 }
 
-function downloadJSON(){
-  const content = prettyPrintJSON(variables) + '\n';
+function stepRedo(){
+  const entry = redoStack.pop();
+  if(!entry) return null;
+  applyHistoryValues(entry.changes, 'after');
+  undoStack.push(entry);
+  return entry;
+}
+
+function afterHistoryMove(message){
+  historyBase = structuredClone(variables);
+  historyMergeable = false;
+  updatePreview();
+  renderControlsForVariables();
+  renderHistory();
+  status.textContent = message;
+}
+
+function undo(){
+  const entry = stepUndo();
+  if(entry) afterHistoryMove(t('Undid: {label}', { label: entry.label }));
+}
+
+function redo(){
+  const entry = stepRedo();
+  if(entry) afterHistoryMove(t('Redid: {label}', { label: entry.label }));
+}
+
+// Jump so that exactly `applied` steps of the history are applied
+function jumpToHistory(applied){
+  if(applied === undoStack.length) return;
+  while(undoStack.length > applied && stepUndo());
+  while(undoStack.length < applied && stepRedo());
+  afterHistoryMove(applied ? t('Went back to: {label}', { label: undoStack[undoStack.length - 1].label }) : t('Went back to the start.'));
+}
+
+function describeHistoryEntry(entry){
+  const keys = Object.keys(entry.changes);
+  if(keys.length !== 1) return tn(keys.length, '{count} value changed', '{count} values changed');
+  const c = entry.changes[keys[0]];
+  return `${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`;
+}
+
+function renderHistory(){
+  undoBtn.disabled = !undoStack.length;
+  redoBtn.disabled = !redoStack.length;
+  historyToggleBtn.textContent = t('History ({count})', { count: undoStack.length });
+  if(historyList.hidden) return;
+  historyList.innerHTML = '';
+  const entries = [null, ...undoStack, ...redoStack.slice().reverse()];
+  entries.forEach((entry, i) => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'history-item';
+    if(i > undoStack.length) btn.classList.add('undone');
+    if(i === undoStack.length) btn.classList.add('current');
+    btn.textContent = entry ? entry.label : t('Start');
+    btn.title = entry ? describeHistoryEntry(entry) : t('State before any edit');
+    btn.addEventListener('click', () => jumpToHistory(i));
+    li.appendChild(btn);
+    historyList.appendChild(li);
+  });
+  historyList.scrollTop = historyList.scrollHeight;
+}
+
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+
+historyToggleBtn.addEventListener('click', () => {
+  historyList.hidden = !historyList.hidden;
+  historyToggleBtn.setAttribute('aria-expanded', String(!historyList.hidden));
+  renderHistory();
+});
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Text fields outside the
+// controls (search, profile name) keep their native undo, and nothing happens
+// while a dialog is open over the controls.
+document.addEventListener('keydown', (e) => {
+  if(!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const k = e.key.toLowerCase();
+  if(k !== 'z' && k !== 'y') return;
+  if(dialogStack.length) return;
+  const target = e.target;
+  if(target && target.matches && target.matches('input, textarea, select') && !controlsEl.contains(target)) return;
+  e.preventDefault();
+  if(k === 'y' || e.shiftKey) redo();
+  else undo();
+});
+
+function downloadText(content, filename){
   const blob = new Blob([content], {type:'application/json'});
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = '_global_variables.json';
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   a.remove();
 }
 
+function downloadJSON(){
+  if(!confirmValidForExport(t('Download'))) return;
+  downloadText(prettyPrintJSON(exportVariables()) + '\n', '_global_variables.json');
+}
+
 downloadBtn.addEventListener('click', downloadJSON);
 loadExampleBtn.addEventListener('click', loadExampleAndApply);
 const clearSearchBtn = document.getElementById('clearSearchBtn');
 const sidebarSearchActions = document.querySelector('.sidebar-search-actions');
 
+const searchFiltersEl = document.getElementById('searchFilters');
+const sectionFilter = document.getElementById('sectionFilter');
+let searchCursor = -1; // result picked with the arrow keys, -1 for none
+
 function updateClearSearchVisibility() {
-  sidebarSearchActions.classList.toggle('visible', currentSearchTerm.length > 0);
+  sidebarSearchActions.classList.toggle('visible', currentSearchTerm.length > 0 || searchFiltersActive());
+}
+
+function clearSearch(){
+  searchInput.value = '';
+  currentSearchTerm = '';
+  searchFilters.kinds.clear();
+  searchFilters.modified = searchFilters.preview = searchFilters.readonly = false;
+  searchFilters.section = '';
+  updateSearchFilterChips();
+  updateClearSearchVisibility();
+  renderControlsForVariables();
+}
+
+function updateSearchFilterChips(){
+  searchFiltersEl.querySelectorAll('.filter-chip').forEach(chip => {
+    const { filter, value } = chip.dataset;
+    const on = filter === 'kind' ? searchFilters.kinds.has(value) : searchFilters[filter];
+    chip.classList.toggle('active', on);
+    chip.setAttribute('aria-pressed', String(on));
+  });
+  sectionFilter.value = searchFilters.section;
+  sectionFilter.classList.toggle('active', Boolean(searchFilters.section));
+}
+
+// Section choices follow the loaded config and the active language
+function renderSectionFilter(){
+  const vars = config.variables || {};
+  [...sectionFilter.options].slice(1).forEach(o => o.remove());
+  Object.keys(vars).filter(k => vars[k].type === 'section').forEach(k => {
+    const o = document.createElement('option');
+    o.value = k;
+    o.textContent = descLabel(k, vars[k]) || k;
+    sectionFilter.appendChild(o);
+  });
+  if(!vars[searchFilters.section]) searchFilters.section = '';
+  updateSearchFilterChips();
+}
+
+function searchResultRows(){
+  return [...controlsEl.querySelectorAll('.control-row')].filter(r => !r.hidden);
+}
+
+function moveSearchCursor(step){
+  const rows = searchResultRows();
+  if(!rows.length) return;
+  searchCursor = searchCursor === -1 ? (step > 0 ? 0 : rows.length - 1) : (searchCursor + step + rows.length) % rows.length;
+  rows.forEach((r, i) => r.classList.toggle('search-current', i === searchCursor));
+  rows[searchCursor].scrollIntoView({ block: 'center', behavior: 'smooth' });
 }
 
 searchInput.addEventListener('input', () => {
@@ -759,15 +1993,70 @@ searchInput.addEventListener('input', () => {
   renderControlsForVariables();
 });
 
-clearSearchBtn.addEventListener('click', () => {
-  searchInput.value = '';
-  currentSearchTerm = '';
+// Arrow keys walk through the results, Enter jumps into the picked (or first) one
+searchInput.addEventListener('keydown', (e) => {
+  if(e.key === 'ArrowDown' || e.key === 'ArrowUp'){
+    e.preventDefault();
+    moveSearchCursor(e.key === 'ArrowDown' ? 1 : -1);
+  } else if(e.key === 'Enter'){
+    const row = searchResultRows()[Math.max(0, searchCursor)];
+    if(row) scrollToVariable(row.dataset.key);
+  } else if(e.key === 'Escape' && (currentSearchTerm || searchFiltersActive())){
+    clearSearch();
+  }
+});
+
+clearSearchBtn.addEventListener('click', clearSearch);
+
+searchFiltersEl.addEventListener('click', (e) => {
+  const chip = e.target.closest('.filter-chip');
+  if(!chip) return;
+  const { filter, value } = chip.dataset;
+  if(filter === 'kind'){
+    if(searchFilters.kinds.has(value)) searchFilters.kinds.delete(value);
+    else searchFilters.kinds.add(value);
+  } else {
+    searchFilters[filter] = !searchFilters[filter];
+  }
+  updateSearchFilterChips();
+  updateClearSearchVisibility();
+  renderControlsForVariables();
+});
+
+sectionFilter.addEventListener('change', () => {
+  searchFilters.section = sectionFilter.value;
+  updateSearchFilterChips();
   updateClearSearchVisibility();
   renderControlsForVariables();
 });
 
+const inactiveModeSelect = document.getElementById('inactiveModeSelect');
+const omitInactiveToggle = document.getElementById('omitInactiveToggle');
+inactiveModeSelect.value = prefs.inactiveMode;
+omitInactiveToggle.checked = prefs.omitInactive;
+
+inactiveModeSelect.addEventListener('change', () => {
+  prefs.inactiveMode = inactiveModeSelect.value;
+  savePrefs();
+  applyDependencyState();
+});
+
+omitInactiveToggle.addEventListener('change', () => {
+  prefs.omitInactive = omitInactiveToggle.checked;
+  savePrefs();
+  updatePreview();
+});
+
 async function init(){
-  await loadConfig();
+  await loadLocales();
+  await loadLocale(pickLocale());
+  renderLanguageSelect();
+  translatePage();
+  await loadReleases();
+  currentRelease = findRelease(prefs.release) || findRelease(defaultRelease) || releases[0] || null;
+  renderReleaseSelect();
+  await loadConfig(currentRelease ? releaseConfigURL(currentRelease) : CONFIG_URL);
+  renderDiagnostics();
 
   // Clean up any section keys from old session storage
   function cleanSectionKeys(obj){
@@ -779,37 +2068,329 @@ async function init(){
     return obj;
   }
 
-  // If there's a saved last-user state in sessionStorage, restore it as the starting variables.
+  // A shared link wins over everything else. Otherwise, if there's a saved last-user state
+  // in sessionStorage, restore it as the starting variables.
   // Otherwise load the example (and save defaults).
-  let saved = loadUserState();
+  const shared = await applySharedSettingsFromURL();
+  let saved = shared && shared.applied ? null : loadUserState();
   saved = cleanSectionKeys(saved);
-  if(saved){
+  if(shared && shared.applied){
+    // already rendered by applySharedSettingsFromURL()
+  } else if(saved){
     // Also load defaults from storage if present (so reset still works against a stored default)
     try {
       const d = sessionStorage.getItem(STORAGE_KEY_DEFAULTS);
-      if(d) defaults = JSON.parse(d);
+      if(d) defaults = buildSanitizedFromSource(migrateSource(JSON.parse(d)));
     } catch(e){}
     variables = structuredClone(saved);
-    // Ensure UI uses sanitized shape: keep only keys from config
-    variables = buildSanitizedFromSource(variables);
+    // Upgrade state saved under an older config version, then
+    // ensure UI uses sanitized shape: keep only keys from config
+    const migrationReport = {};
+    variables = buildSanitizedFromSource(migrateSource(variables, migrationReport), migrationReport);
+    if(migrationReport.migration || migrationReport.unmigrated){
+      pendingReport = { report: migrationReport, sourceName: t('the last session'), title: t('Settings Migrated') };
+    }
     // If defaults are empty, fetch example (non-blocking) to populate them
     if(!Object.keys(defaults).length) {
       await loadExampleAndApply();
     } else {
       updatePreview();
       renderControlsForVariables();
-      status.textContent = 'Restored last used state.';
+      status.textContent = t('Restored last used state.');
     }
   } else {
     await loadExampleAndApply();
   }
 
-  status.textContent = 'Ready.';
+  status.textContent = shared ? shared.message : t('Ready.');
+  resetHistory();
+
+  if(pendingReport){
+    showImportReport(pendingReport.report, pendingReport.sourceName, pendingReport.title);
+    pendingReport = null;
+  }
 
   // Scroll to section if URL has a hash
   scrollToHashSection();
 }
 
+// Release selector. Switching keeps the values both configs share and takes
+// everything else, readonly values included, from the new config's defaults.
+const releaseSelect = document.getElementById('releaseSelect');
+const releasePicker = document.getElementById('releasePicker');
+
+function renderReleaseSelect(){
+  releasePicker.hidden = releases.length === 0;
+  releaseSelect.innerHTML = '';
+  releases.forEach(rel => {
+    const o = document.createElement('option');
+    o.value = rel.version;
+    o.textContent = releaseLabel(rel);
+    releaseSelect.appendChild(o);
+  });
+  if(currentRelease) releaseSelect.value = currentRelease.version;
+}
+
+async function switchRelease(release, message){
+  if(!release || release === currentRelease) return false;
+  currentRelease = release;
+  releaseSelect.value = release.version;
+  prefs.release = release.version;
+  savePrefs();
+  await loadConfig(releaseConfigURL(release));
+  renderDiagnostics();
+  const vars = config.variables || {};
+  const carried = buildSanitizedFromSource(variables);
+  Object.keys(carried).forEach(k => {
+    if(vars[k].readonly) carried[k] = defaultFor(vars[k]);
+  });
+  defaults = buildSanitizedFromSource(null);
+  saveDefaultsToStorage();
+  variables = carried;
+  updatePreview();
+  renderControlsForVariables();
+  resetHistory();
+  status.textContent = message || t('Switched to Déesse UI {release}.', { release: releaseLabel(release) });
+  return true;
+}
+
+releaseSelect.addEventListener('change', () => {
+  switchRelease(findRelease(releaseSelect.value));
+});
+
+const languageSelect = document.getElementById('languageSelect');
+const languagePicker = document.getElementById('languagePicker');
+
+function renderLanguageSelect(){
+  // Only worth showing when there is something besides English
+  languagePicker.hidden = locales.length < 2;
+  languageSelect.innerHTML = '';
+  locales.forEach(l => {
+    const o = document.createElement('option');
+    o.value = l.code;
+    o.textContent = l.name || l.code;
+    languageSelect.appendChild(o);
+  });
+  languageSelect.value = localeCode;
+}
+
+// Redraw everything that carries text, the values themselves are untouched
+async function switchLanguage(code){
+  await loadLocale(code);
+  prefs.locale = code;
+  savePrefs();
+  translatePage();
+  renderReleaseSelect();
+  renderDiagnostics();
+  renderControlsForVariables();
+  renderHistory();
+  updateChangesCount();
+  status.textContent = t('Language changed.');
+}
+
+languageSelect.addEventListener('change', () => {
+  switchLanguage(languageSelect.value);
+});
+
+// Diagnostics panel listing what validateConfig() found, plus an on-demand
+// check that every previewURL actually loads.
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+const diagnosticsDetails = document.getElementById('diagnosticsDetails');
+const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+const diagnosticsList = document.getElementById('diagnosticsList');
+const checkPreviewsBtn = document.getElementById('checkPreviewsBtn');
+
+function renderDiagnostics(){
+  const errors = configDiagnostics.filter(d => d.level === 'error').length;
+  const warnings = configDiagnostics.length - errors;
+  diagnosticsSummary.textContent = configDiagnostics.length ?
+    t('Config check: {errors}, {warnings}', {
+      errors: tn(errors, '{count} error', '{count} errors'),
+      warnings: tn(warnings, '{count} warning', '{count} warnings'),
+    }) :
+    t('Config check: no problems found');
+  diagnosticsPanel.classList.toggle('has-errors', errors > 0);
+  diagnosticsPanel.classList.toggle('has-warnings', !errors && warnings > 0);
+  if(errors) diagnosticsDetails.open = true;
+  diagnosticsList.innerHTML = '';
+  configDiagnostics.forEach(d => {
+    const li = document.createElement('li');
+    li.className = `diagnostic diagnostic-${d.level}`;
+    const level = document.createElement('strong');
+    level.textContent = d.level === 'error' ? t('Error') : t('Warning');
+    li.appendChild(level);
+    if(d.key){
+      const key = document.createElement('span');
+      key.className = 'key';
+      key.textContent = d.key;
+      li.appendChild(key);
+    }
+    const msg = document.createElement('span');
+    msg.textContent = d.message;
+    li.appendChild(msg);
+    diagnosticsList.appendChild(li);
+  });
+  diagnosticsPanel.hidden = false;
+}
+
+function checkImage(url){
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => resolve(true);
+    img.onerror = () => resolve(false);
+    img.src = url;
+  });
+}
+
+checkPreviewsBtn.addEventListener('click', async () => {
+  const vars = config.variables || {};
+  const byUrl = new Map();
+  Object.keys(vars).forEach(k => {
+    const url = vars[k] && vars[k].previewURL;
+    if(url && isValidURL(url)) byUrl.set(url, [...(byUrl.get(url) || []), k]);
+  });
+  checkPreviewsBtn.disabled = true;
+  checkPreviewsBtn.textContent = t('Checking {count} preview images…', { count: byUrl.size });
+  configDiagnostics = configDiagnostics.filter(d => !d.previewCheck);
+  const results = await Promise.all([...byUrl.keys()].map(async url => [url, await checkImage(url)]));
+  results.forEach(([url, ok]) => {
+    if(ok) return;
+    byUrl.get(url).forEach(key => {
+      configDiagnostics.push({ level: 'warning', key, message: `Preview image does not load: ${url}`, previewCheck: true });
+    });
+  });
+  checkPreviewsBtn.disabled = false;
+  checkPreviewsBtn.textContent = t('Check preview images');
+  renderDiagnostics();
+  diagnosticsDetails.open = true;
+});
+
+// Shareable links: the values that differ from the config defaults are stored,
+// deflate-compressed when the browser supports it, in the ?s= query parameter.
+const SHARE_PARAM = 's';
+
+function toBase64Url(bytes){
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str){
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform){
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// The first character tells how the rest is encoded: 'z' deflate-raw, 'j' plain JSON
+async function encodeSharePayload(payload){
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  try {
+    return 'z' + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+  } catch(e) {
+    return 'j' + toBase64Url(bytes);
+  }
+}
+
+async function decodeSharePayload(data){
+  let bytes = fromBase64Url(data.slice(1));
+  if(data[0] === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  else if(data[0] !== 'j') throw new Error('Unknown share format');
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// The link carries the values that differ from `defaults`, the same baseline the
+// modified markers use, so the receiver sees the same rows marked as modified.
+async function buildShareURL(){
+  const changes = {};
+  Object.keys(variables).forEach(k => {
+    if(k === VERSION_KEY) return;
+    if(JSON.stringify(variables[k]) !== JSON.stringify(defaults[k])) changes[k] = variables[k];
+  });
+  const url = new URL(location.pathname, location.origin);
+  url.searchParams.set(SHARE_PARAM, await encodeSharePayload({ v: configVersion(), c: changes }));
+  return { url: url.href, count: Object.keys(changes).length };
+}
+
+// The editor's usual baseline for a fresh page: the defaults kept for this session,
+// otherwise the example file, otherwise the config defaults
+async function loadBaselineDefaults(){
+  try {
+    const d = sessionStorage.getItem(STORAGE_KEY_DEFAULTS);
+    if(d) return buildSanitizedFromSource(migrateSource(JSON.parse(d)));
+  } catch(e){}
+  try {
+    const r = await fetch(EXAMPLE_URL);
+    if(r.ok) return buildSanitizedFromSource(await r.json());
+  } catch(e){
+    console.warn('Example load failed', e);
+  }
+  return buildSanitizedFromSource(null);
+}
+
+// Apply settings from a shared link on top of `defaults`, which is kept as is.
+// Returns null when the URL carries none, otherwise { applied, message } for the status line.
+async function applySharedSettingsFromURL(){
+  const params = new URLSearchParams(location.search);
+  const data = params.get(SHARE_PARAM);
+  if(!data) return null;
+  // Drop the settings from the address bar so a reload keeps later edits
+  params.delete(SHARE_PARAM);
+  const query = params.toString();
+  history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+
+  let payload;
+  try {
+    payload = await decodeSharePayload(data);
+    if(!payload || typeof payload.c !== 'object' || payload.c === null) throw new Error('No settings in link');
+  } catch(e) {
+    console.warn('Could not read shared settings', e);
+    return { applied: false, message: t('The shared link could not be read, it may be incomplete.') };
+  }
+
+  const current = configVersion();
+  const linkVersion = payload.v !== undefined && payload.v !== null ? String(payload.v) : current;
+  const report = {};
+  const changes = migrateSource({ ...payload.c, [VERSION_KEY]: linkVersion }, report);
+  if(!Object.keys(defaults).length){
+    defaults = await loadBaselineDefaults();
+    saveDefaultsToStorage();
+  }
+  variables = buildSanitizedFromSource({ ...defaults, ...changes, [VERSION_KEY]: defaults[VERSION_KEY] }, report);
+  updatePreview();
+  renderControlsForVariables();
+
+  if(report.dropped.length || report.mismatched.length || report.migrated.length || report.unmigrated){
+    pendingReport = { report, sourceName: t('the shared link'), title: t('Shared Settings') };
+  }
+  // Count what the link actually set: configured variables after migration,
+  // minus values replaced by defaults (type mismatches, readonly)
+  const vars = config.variables || {};
+  const count = Object.keys(changes).filter(k => k !== VERSION_KEY && vars[k] && vars[k].type !== 'section'
+    && JSON.stringify(variables[k]) === JSON.stringify(changes[k])).length;
+  const message = tn(count, 'Loaded {count} shared setting', 'Loaded {count} shared settings');
+  const versionNote = linkVersion !== current ? ' ' + t('(link made for config version {link}, now {current})', { link: linkVersion, current }) : '';
+  return { applied: true, message: `${message}${versionNote}.` };
+}
+
+shareBtn.addEventListener('click', async () => {
+  try {
+    const { url, count } = await buildShareURL();
+    try {
+      await navigator.clipboard.writeText(url);
+      status.textContent = tn(count, 'Share link copied ({count} modified value).', 'Share link copied ({count} modified values).');
+    } catch(e) {
+      status.textContent = t('Share link: {url}', { url });
+    }
+  } catch(e) {
+    console.error(e);
+    status.textContent = t('Could not create a share link.');
+  }
+});
+
 function scrollToHashSection() {
   const hash = decodeURIComponent(location.hash.replace(/^#/, ''));
   if (!hash) return;
@@ -850,11 +2431,6 @@ function scrollToHashSection() {
   }
 }
 
-// Add JSZip via CDN for simplicity in static site
-const jszipScript = document.createElement('script');
-jszipScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
-document.head.appendChild(jszipScript);
-
 const configurePackBtn = document.getElementById('configurePackBtn');
 const packModal = document.getElementById('packModal');
 const cancelPackBtn = document.getElementById('cancelPackBtn');
@@ -863,26 +2439,43 @@ const autoPackBtn = document.getElementById('autoPackBtn');
 const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
 const packStatus = document.getElementById('packStatus');
+const loadPackSettingsBtn = document.getElementById('loadPackSettingsBtn');
 
 let selectedPackFile = null;
+let selectedPackSettings = null; // parsed ui/_global_variables.json of the selected pack
 
 configurePackBtn.addEventListener('click', () => {
-  packModal.classList.add('visible');
   resetPackModal();
+  openModal(packModal, closePackModal);
 });
 
-cancelPackBtn.addEventListener('click', () => {
-  packModal.classList.remove('visible');
-});
+function closePackModal() {
+  if (packDownloadController) packDownloadController.abort();
+  closeModal(packModal);
+}
+
+cancelPackBtn.addEventListener('click', closePackModal);
 
 function resetPackModal() {
-  selectedPackFile = null;
+  loadPackSettingsBtn.hidden = !(selectedPackFile && selectedPackSettings);
+  // Keep a previously selected pack so its loaded settings can be tweaked and re-patched
+  if (selectedPackFile) {
+    uploadPackBtn.disabled = false;
+    packStatus.textContent = t('Selected: {name}', { name: selectedPackFile.name });
+    packStatus.style.color = '#00c853';
+    return;
+  }
   uploadPackBtn.disabled = true;
-  packStatus.textContent = 'No file selected.';
+  packStatus.textContent = t('No file selected.');
   packStatus.style.color = '#666';
 }
 
 dropZone.addEventListener('click', () => fileInput.click());
+dropZone.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter' && e.key !== ' ') return;
+  e.preventDefault();
+  fileInput.click();
+});
 
 dropZone.addEventListener('dragover', (e) => {
   e.preventDefault();
@@ -913,154 +2506,968 @@ function handleFileSelect(file) {
   // On iOS, .mcpack might be reported as application/octet-stream or have no clear extension in some contexts
   // We'll allow any file if the user picks it, but hint at .mcpack
   selectedPackFile = file;
-  packStatus.textContent = `Selected: ${file.name}`;
+  packStatus.textContent = t('Selected: {name}', { name: file.name });
   packStatus.style.color = '#00c853';
   uploadPackBtn.disabled = false;
+  readPackSettings(file);
+}
+
+// Pick the release matching the pack's manifest, so the editor shows that release's variables
+async function selectReleaseForPack(zip, globalsPath, fileName){
+  if(!releases.length) return;
+  let version;
+  try {
+    version = await packManifestVersion(zip, globalsPath);
+  } catch (e) {
+    console.warn('Could not read manifest.json', e);
+    return;
+  }
+  if(version === undefined) return;
+  const release = releaseForPackVersion(version);
+  if(!release){
+    status.textContent = t('{file} is version {version}, which has no config here. The editor stays on {release}.', {
+      file: fileName, version: formatPackVersion(version), release: releaseLabel(currentRelease),
+    });
+    return;
+  }
+  await switchRelease(release, t('Switched to Déesse UI {release} to match {file}.', { release: releaseLabel(release), file: fileName }));
+}
+
+// Look inside the selected pack for settings from an earlier patch so they can be
+// loaded into the editor instead of starting over from the defaults.
+async function readPackSettings(file) {
+  selectedPackSettings = null;
+  loadPackSettingsBtn.hidden = true;
+  try {
+    const pack = await openPack(await file.arrayBuffer());
+    // Another file may have been picked while this one was being read
+    if (file !== selectedPackFile) return;
+    await selectReleaseForPack(pack.zip, pack.globalsPath, file.name);
+    if (pack.originalText === null || file !== selectedPackFile) return;
+    const src = parseJSONWithComments(pack.originalText);
+    if (file !== selectedPackFile) return;
+    selectedPackSettings = src;
+    const configDefaults = buildSanitizedFromSource(null);
+    const packValues = buildSanitizedFromSource(migrateSource(src));
+    const changed = Object.keys(packValues)
+      .filter(k => JSON.stringify(packValues[k]) !== JSON.stringify(configDefaults[k])).length;
+    packStatus.textContent = tn(changed, 'Selected: {name} ({count} value differs from the defaults)', 'Selected: {name} ({count} values differ from the defaults)', { name: file.name });
+    loadPackSettingsBtn.hidden = false;
+  } catch (e) {
+    // Not fatal: the pack can still be patched, Upload reports broken zips
+    console.warn('Could not read settings from pack', e);
+  }
+}
+
+loadPackSettingsBtn.addEventListener('click', () => {
+  if (!selectedPackSettings) return;
+  // Compare against the config defaults so everything the pack changed is highlighted
+  defaults = buildSanitizedFromSource(null);
+  saveDefaultsToStorage();
+  closeModal(packModal);
+  applyImportedSource(selectedPackSettings, selectedPackFile.name);
+});
+
+// Output options for patched packs: manifest.json changes and the download name.
+// Kept in prefs so they apply to every patch until changed.
+const packNewUuidsToggle = document.getElementById('packNewUuids');
+const packBumpVersionToggle = document.getElementById('packBumpVersion');
+const packNameInput = document.getElementById('packNameInput');
+const packDescriptionInput = document.getElementById('packDescriptionInput');
+const packFilenameInput = document.getElementById('packFilenameInput');
+
+function packOutputOptions(){
+  return { ...DEFAULT_PACK_OUTPUT, ...(prefs.packOutput || {}) };
+}
+
+function packOutputFilename(){
+  const name = String(packOutputOptions().filename || '').replace(/[\\/:*?"<>|]/g, '').trim();
+  if(!name) return DEFAULT_PACK_FILENAME;
+  return /\.mcpack$/i.test(name) ? name : name + '.mcpack';
+}
+
+function renderPackOutputOptions(){
+  const opts = packOutputOptions();
+  packNewUuidsToggle.checked = opts.newUuids;
+  packBumpVersionToggle.checked = opts.bumpVersion;
+  packNameInput.value = opts.name;
+  packDescriptionInput.value = opts.description;
+  packFilenameInput.value = opts.filename;
+}
+
+function savePackOutputOptions(){
+  prefs.packOutput = {
+    newUuids: packNewUuidsToggle.checked,
+    bumpVersion: packBumpVersionToggle.checked,
+    name: packNameInput.value,
+    description: packDescriptionInput.value,
+    filename: packFilenameInput.value,
+  };
+  savePrefs();
+}
+
+[packNewUuidsToggle, packBumpVersionToggle].forEach(el => el.addEventListener('change', savePackOutputOptions));
+[packNameInput, packDescriptionInput, packFilenameInput].forEach(el => el.addEventListener('input', savePackOutputOptions));
+renderPackOutputOptions();
+
+// Preview of the patched _global_variables.json, confirmed before the pack is downloaded
+const packPreviewModal = document.getElementById('packPreviewModal');
+const packPreviewSummary = document.getElementById('packPreviewSummary');
+const packPreviewText = document.getElementById('packPreviewText');
+const packCompatSummary = document.getElementById('packCompatSummary');
+const packCompatReport = document.getElementById('packCompatReport');
+const packPreviewConfirmBtn = document.getElementById('packPreviewConfirm');
+const packPreviewCancelBtn = document.getElementById('packPreviewCancel');
+let packPreviewResolve = null;
+
+function renderPackCompatibility(compat){
+  packCompatSummary.textContent = compat.versionNote;
+  packCompatSummary.classList.toggle('compat-warning', !compat.versionOk);
+  packCompatReport.innerHTML = '';
+  if(compat.unreadable){
+    packCompatReport.textContent = t('The pack\'s _global_variables.json could not be parsed, its keys were not compared.');
+    return;
+  }
+  [
+    renderReportGroup(t('Configured variables missing from the pack'), compat.missing.map(key => ({ key }))),
+    renderReportGroup(t('Pack variables the config does not describe'), compat.extra.map(key => ({ key }))),
+    renderReportGroup(t('Variables whose type changed'), compat.mismatched.map(m => ({ key: m.key, detail: t('config expects {expected}, pack has {got}', { expected: m.expected, got: m.got }) }))),
+  ].forEach(group => { if(group) packCompatReport.appendChild(group); });
+  if(!packCompatReport.children.length) packCompatReport.textContent = t('The pack has every configured variable with the expected type.');
+}
+
+// `warning` (an unverified download) is put in front of the compatibility summary
+function confirmPackPreview(patch, compat, warning){
+  renderPackCompatibility(compat);
+  if(warning){
+    packCompatSummary.textContent = `${warning} ${packCompatSummary.textContent}`;
+    packCompatSummary.classList.add('compat-warning');
+  }
+  packPreviewSummary.textContent = patch.note;
+  packPreviewText.innerHTML = '';
+  const changed = new Set(patch.changedLines || []);
+  patch.text.replace(/\n$/, '').split('\n').forEach((text, i) => {
+    const line = document.createElement('span');
+    line.className = changed.has(i + 1) ? 'preview-line changed' : 'preview-line';
+    line.textContent = text + '\n';
+    packPreviewText.appendChild(line);
+  });
+  openModal(packPreviewModal, () => closePackPreview(false), packPreviewConfirmBtn);
+  const first = packPreviewText.querySelector('.changed');
+  packPreviewText.scrollTop = first ? Math.max(0, first.offsetTop - packPreviewText.clientHeight / 3) : 0;
+  return new Promise(resolve => { packPreviewResolve = resolve; });
+}
+
+function closePackPreview(confirmed){
+  closeModal(packPreviewModal);
+  if(packPreviewResolve) packPreviewResolve(confirmed);
+  packPreviewResolve = null;
+}
+
+packPreviewConfirmBtn.addEventListener('click', () => closePackPreview(true));
+packPreviewCancelBtn.addEventListener('click', () => closePackPreview(false));
+packPreviewModal.addEventListener('click', (e) => {
+  if (e.target === packPreviewModal) closePackPreview(false);
+});
+
+// Shared by Upload and Auto: patch the pack's _global_variables.json with the editor's
+// values once the preview is confirmed, then download the verified result.
+// Returns false when the user cancelled at the preview.
+async function patchAndDownloadPack(contents, warning){
+  const pack = await openPack(contents);
+  const values = exportVariables();
+  const compat = await checkPackCompatibility(pack, config);
+  const patch = buildPatchedGlobals(pack.originalText, values, config.variables || {});
+  if (compat.manifestError) console.warn('Could not read manifest.json', compat.manifestError);
+  if (patch.error) console.warn('Could not merge into the pack\'s _global_variables.json', patch.error);
+  packStatus.textContent = t('Review the compatibility report and the patched _global_variables.json...');
+  if (!(await confirmPackPreview(patch, compat, warning))) {
+    packStatus.textContent = t('Patching cancelled.');
+    packStatus.style.color = '#666';
+    return false;
+  }
+  packStatus.textContent = t('Checking the patched pack...');
+  const { data, manifestNote } = await writePatchedPack(pack, patch.text, values, packOutputOptions(), 'blob');
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(data);
+  a.download = packOutputFilename();
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  packStatus.textContent = t('Pack patched and verified successfully!') + manifestNote;
+  packStatus.style.color = '#00c853';
+  setTimeout(() => {
+    closeModal(packModal);
+  }, 1500);
+  return true;
 }
 
 uploadPackBtn.addEventListener('click', async () => {
   if (!selectedPackFile) return;
+  if (!confirmValidForExport(t('Patch the pack'))) return;
 
   uploadPackBtn.disabled = true;
-  packStatus.textContent = 'Processing pack...';
+  packStatus.textContent = t('Processing pack...');
   packStatus.style.color = 'var(--accent)';
 
   try {
-    const zip = new JSZip();
-    const contents = await selectedPackFile.arrayBuffer();
-    const loadedZip = await zip.loadAsync(contents);
-
-    // Find the main folder containing the ui/ directory
-    // Pattern: <MainFolder>/ui/_global_variables.json
-    let targetPath = null;
-    const files = Object.keys(loadedZip.files);
-
-    // Look for a path ending in ui/_global_variables.json
-    for (const path of files) {
-      if (path.endsWith('ui/_global_variables.json')) {
-        targetPath = path;
-        break;
-      }
-    }
+    if (!(await patchAndDownloadPack(await selectedPackFile.arrayBuffer()))) uploadPackBtn.disabled = false;
+  } catch (e) {
+    console.error(e);
+    packStatus.textContent = t('Error: {error}', { error: e.message });
+    packStatus.style.color = '#ff1744';
+    uploadPackBtn.disabled = false;
+  }
+});
 
-    if (!targetPath) {
-      // Fallback: try to find any 'ui/' directory and create the file if it doesn't exist
-      for (const path of files) {
-        if (path.includes('/ui/') || path.startsWith('ui/')) {
-          const parts = path.split('/ui/');
-          targetPath = parts[0] + (parts[0] ? '/' : '') + 'ui/_global_variables.json';
-          break;
-        }
-      }
-    }
+// Auto download. Sources come from config.packSources, URL templates where {url} and
+// {encoded_url} stand for packDownloadUrl; they are tried in order until one returns
+// the pack, each with its own timeout. A local stand-in server (tools/pack-server.js)
+// can be listed there for testing.
+const DEFAULT_PACK_SOURCE_TIMEOUT_MS = 30000;
+const packProgress = document.getElementById('packProgress');
+const packProgressBar = document.getElementById('packProgressBar');
+const packProgressText = document.getElementById('packProgressText');
+const stopDownloadBtn = document.getElementById('stopDownloadBtn');
+let packDownloadController = null;
+
+function packSources(){
+  const packUrl = config.packDownloadUrl;
+  const list = Array.isArray(config.packSources) ? config.packSources : (packUrl ? ['{url}'] : []);
+  return list.map(src => typeof src === 'string' ? { url: src } : src)
+    .filter(src => src && typeof src.url === 'string' && (packUrl || !/\{(encoded_)?url\}/.test(src.url)))
+    .map(src => {
+      const url = src.url.replace('{encoded_url}', encodeURIComponent(packUrl)).replace('{url}', packUrl);
+      return {
+        name: src.name || new URL(url).host,
+        url,
+        timeoutMs: Number(src.timeoutMs) || Number(config.packSourceTimeoutMs) || DEFAULT_PACK_SOURCE_TIMEOUT_MS,
+      };
+    });
+}
 
-    if (!targetPath) {
-      throw new Error('Could not find ui/ directory in pack.');
-    }
+function formatBytes(n){
+  if(n < 1024) return `${n} B`;
+  if(n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
 
-    const updatedJSON = prettyPrintJSON(variables) + '\n';
-    loadedZip.file(targetPath, updatedJSON);
+function showPackProgress(label, received, total){
+  packProgress.hidden = false;
+  if(total){
+    const percent = Math.min(100, Math.round(received / total * 100));
+    packProgressBar.max = 100;
+    packProgressBar.value = percent;
+    packProgressText.textContent = t('{label}: {received} of {total} ({percent}%)', { label, received: formatBytes(received), total: formatBytes(total), percent });
+  } else {
+    // Without a Content-Length the bar stays indeterminate
+    packProgressBar.removeAttribute('value');
+    packProgressText.textContent = `${label}: ${formatBytes(received)}`;
+  }
+}
 
-    const blob = await loadedZip.generateAsync({ type: 'blob', mimeType: 'application/octet-stream' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    // Fixed name to avoid duplicates
-    a.download = `PatchedDéesseUI.mcpack`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+function hidePackProgress(){
+  packProgress.hidden = true;
+}
 
-    packStatus.textContent = 'Pack patched successfully!';
-    packStatus.style.color = '#00c853';
-    setTimeout(() => {
-      packModal.classList.remove('visible');
-    }, 1500);
+async function sha256Hex(buffer){
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
 
+// Fetch one source, streaming it so progress can be shown. The timeout counts the
+// time without any data, so slow but steady downloads are not cut off.
+async function fetchPackSource(source, signal, onProgress){
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal.addEventListener('abort', abort);
+  let timedOut = false;
+  let timer = null;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => { timedOut = true; controller.abort(); }, source.timeoutMs);
+  };
+  try {
+    arm();
+    const r = await fetch(source.url, { signal: controller.signal });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const total = Number(r.headers.get('Content-Length')) || 0;
+    if (!r.body) {
+      const buffer = await r.arrayBuffer();
+      onProgress(buffer.byteLength, total);
+      return buffer;
+    }
+    const reader = r.body.getReader();
+    const chunks = [];
+    let received = 0;
+    onProgress(0, total);
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      onProgress(received, total);
+      arm();
+    }
+    const contents = new Uint8Array(received);
+    let offset = 0;
+    chunks.forEach(chunk => { contents.set(chunk, offset); offset += chunk.length; });
+    return contents.buffer;
   } catch (e) {
-    console.error(e);
-    packStatus.textContent = `Error: ${e.message}`;
-    packStatus.style.color = '#ff1744';
-    uploadPackBtn.disabled = false;
+    if (timedOut) throw new Error(t('no data for {seconds} s', { seconds: source.timeoutMs / 1000 }));
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', abort);
   }
+}
+
+// Try each source in turn. A download whose SHA-256 doesn't match config.packSha256
+// (an error page from a proxy, a different release) counts as a failed attempt.
+// Without a packSha256 the first download is returned with verified: false.
+async function downloadPack(sources, signal){
+  const expected = typeof config.packSha256 === 'string' ? config.packSha256.toLowerCase() : null;
+  const failures = [];
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i];
+    const label = t('Downloading from {source} ({n}/{total})', { source: source.name, n: i + 1, total: sources.length });
+    packStatus.textContent = `${label}...`;
+    try {
+      const contents = await fetchPackSource(source, signal, (received, total) => showPackProgress(label, received, total));
+      if (expected) {
+        packStatus.textContent = t('Checking the download...');
+        const actual = await sha256Hex(contents);
+        if (actual !== expected) throw new Error(t('checksum mismatch (got {hash}...)', { hash: actual.slice(0, 12) }));
+      }
+      return { contents, verified: Boolean(expected) };
+    } catch (e) {
+      if (signal.aborted) throw e;
+      console.warn(`Pack source ${source.name} failed`, e);
+      failures.push(`${source.name}: ${e.message}`);
+    }
+  }
+  throw new Error(t('All download attempts failed ({failures}). Try the Upload button instead.', { failures: failures.join('; ') }));
+}
+
+stopDownloadBtn.addEventListener('click', () => {
+  if (packDownloadController) packDownloadController.abort();
 });
 
 autoPackBtn.addEventListener('click', async () => {
+  if (!confirmValidForExport(t('Patch the pack'))) return;
   autoPackBtn.disabled = true;
-  packStatus.textContent = 'Downloading pack...';
+  packStatus.textContent = t('Downloading pack...');
   packStatus.style.color = 'var(--accent)';
 
+  packDownloadController = new AbortController();
   try {
-    const packUrl = config.packDownloadUrl;
-    if (!packUrl) throw new Error('No pack download URL configured.');
-
-    const proxies = [
-      url => 'https://corsproxy.io/?url=' + encodeURIComponent(url),
-      url => 'https://cors.eu.org/' + url,
-      url => 'https://thingproxy.freeboard.io/fetch/' + url,
-    ];
-
-    let response = null;
-    for (let i = 0; i < proxies.length; i++) {
-      packStatus.textContent = `Downloading pack... (attempt ${i + 1}/${proxies.length})`;
-      try {
-        const r = await fetch(proxies[i](packUrl));
-        if (r.ok) { response = r; break; }
-      } catch (_) {}
+    const sources = packSources();
+    if (!sources.length) throw new Error(t('No pack download URL configured.'));
+
+    const { contents, verified } = await downloadPack(sources, packDownloadController.signal);
+    hidePackProgress();
+
+    if (verified) {
+      packStatus.textContent = t('Checksum verified, patching pack...');
+      await patchAndDownloadPack(contents);
+    } else {
+      const warning = t('Unverified download: the config has no packSha256, so the pack could not be checked against the official release.');
+      packStatus.textContent = warning;
+      packStatus.style.color = '#ffab40';
+      await patchAndDownloadPack(contents, warning);
+    }
+  } catch (e) {
+    hidePackProgress();
+    if (packDownloadController.signal.aborted) {
+      packStatus.textContent = t('Download cancelled.');
+      packStatus.style.color = '#666';
+    } else {
+      console.error(e);
+      packStatus.textContent = t('Error: {error}', { error: e.message });
+      packStatus.style.color = '#ff1744';
     }
-    if (!response) throw new Error('All download attempts failed. Try the Upload button instead.');
+  } finally {
+    packDownloadController = null;
+    autoPackBtn.disabled = false;
+  }
+});
 
-    packStatus.textContent = 'Patching pack...';
-    const contents = await response.arrayBuffer();
-    const zip = new JSZip();
-    const loadedZip = await zip.loadAsync(contents);
+// Changes against the defaults: "Modified only" filter, diff list and overrides-only export
+const changesBtn = document.getElementById('changesBtn');
+const changesModal = document.getElementById('changesModal');
+const closeChangesBtn = document.getElementById('closeChanges');
+const changesSummary = document.getElementById('changesSummary');
+const changesList = document.getElementById('changesList');
+const downloadChangesBtn = document.getElementById('downloadChangesBtn');
+const copyChangesBtn = document.getElementById('copyChangesBtn');
+
+function updateChangesCount(){
+  changesBtn.textContent = t('Changes ({count})', { count: modifiedKeys().length });
+}
 
-    const files = Object.keys(loadedZip.files);
-    let targetPath = null;
+// Only the modified keys, respecting the "leave out inactive options" preference
+function changedVariables(){
+  const exported = exportVariables();
+  const out = {};
+  modifiedKeys().forEach(k => {
+    if(k in exported) out[k] = exported[k];
+  });
+  return out;
+}
 
-    for (const path of files) {
-      if (path.endsWith('ui/_global_variables.json')) {
-        targetPath = path;
-        break;
-      }
-    }
+function renderChanges(){
+  const vars = config.variables || {};
+  const keys = modifiedKeys();
+  changesSummary.textContent = keys.length ?
+    tn(keys.length, '{count} value differs from the defaults. Select one to jump to it.', '{count} values differ from the defaults. Select one to jump to it.') :
+    t('Every value matches the defaults.');
+  changesList.innerHTML = '';
+  keys.forEach(k => {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.className = 'change-item';
+    const name = document.createElement('span');
+    name.className = 'change-name';
+    name.textContent = descLabel(k, vars[k]) || k;
+    const key = document.createElement('span');
+    key.className = 'key';
+    key.textContent = k;
+    const diff = document.createElement('span');
+    diff.className = 'change-diff';
+    const oldVal = document.createElement('del');
+    oldVal.textContent = JSON.stringify(defaults[k]);
+    const newVal = document.createElement('ins');
+    newVal.textContent = JSON.stringify(variables[k]);
+    diff.append(oldVal, ' \u2192 ', newVal);
+    btn.append(name, key, diff);
+    btn.addEventListener('click', () => {
+      closeModal(changesModal);
+      scrollToVariable(k);
+    });
+    li.appendChild(btn);
+    changesList.appendChild(li);
+  });
+  downloadChangesBtn.disabled = copyChangesBtn.disabled = keys.length === 0;
+}
 
-    if (!targetPath) {
-      for (const path of files) {
-        if (path.includes('/ui/') || path.startsWith('ui/')) {
-          const parts = path.split('/ui/');
-          targetPath = parts[0] + (parts[0] ? '/' : '') + 'ui/_global_variables.json';
-          break;
-        }
-      }
+changesBtn.addEventListener('click', () => {
+  renderChanges();
+  openModal(changesModal, closeChanges);
+});
+
+function closeChanges(){
+  closeModal(changesModal);
+}
+
+closeChangesBtn.addEventListener('click', closeChanges);
+
+changesModal.addEventListener('click', (e) => {
+  if (e.target === changesModal) closeChanges();
+});
+
+downloadChangesBtn.addEventListener('click', () => {
+  if(!confirmValidForExport(t('Download'))) return;
+  downloadText(prettyPrintJSON(changedVariables()) + '\n', '_global_variables.changes.json');
+});
+
+copyChangesBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(prettyPrintJSON(changedVariables()));
+    copyChangesBtn.textContent = t('Copied!');
+  } catch(e) {
+    copyChangesBtn.textContent = t('Copy failed');
+  }
+  setTimeout(() => { copyChangesBtn.textContent = t('Copy changes'); }, 1500);
+});
+
+// Editable Live JSON. What the user types is parsed after a short pause; values that
+// fit their descriptor are applied to the matching rows in place, anything else is
+// listed under the editor and left out until it is fixed.
+const LIVE_JSON_DELAY_MS = 300;
+const jsonStatus = document.getElementById('jsonStatus');
+const jsonIssues = document.getElementById('jsonIssues');
+const jsonRevertBtn = document.getElementById('jsonRevertBtn');
+let liveJsonTimer = null;
+
+function offsetToLineColumn(text, offset){
+  const lines = text.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function lineColumnToOffset(text, line, column){
+  const lines = text.split('\n');
+  let offset = 0;
+  for(let i = 0; i < line - 1 && i < lines.length; i++) offset += lines[i].length + 1;
+  return Math.min(text.length, offset + column - 1);
+}
+
+// JSON.parse messages differ per browser: Chrome reports "at position N" (newer
+// versions add "(line L column C)"), Firefox "at line L column C".
+function jsonErrorLocation(err, text){
+  const message = String(err && err.message);
+  let m = /line (\d+) column (\d+)/.exec(message);
+  if(m) return { line: Number(m[1]), column: Number(m[2]) };
+  m = /position (\d+)/.exec(message);
+  return m ? offsetToLineColumn(text, Number(m[1])) : null;
+}
+
+function keyLocation(text, key){
+  const index = text.indexOf(JSON.stringify(key));
+  return index === -1 ? null : offsetToLineColumn(text, index);
+}
+
+// Returns { error, location } when the text does not parse, otherwise
+// { issues: [{ key, message }], changes: { key: value } }
+function checkLiveJSON(text){
+  let src;
+  try {
+    src = parseJSONWithComments(text);
+  } catch(e) {
+    // The location is shown separately, so drop it from the browser's message
+    const message = String(e.message).replace(/^JSON\.parse: /, '').replace(/,? (in JSON )?at (position|line) .*$/, '').replace(/ \(line \d+ column \d+\)$/, '');
+    return { error: message, location: jsonErrorLocation(e, text) };
+  }
+  if(!src || typeof src !== 'object' || Array.isArray(src)){
+    return { error: t('The JSON must be an object with one entry per variable.'), location: null };
+  }
+  const vars = config.variables || {};
+  const known = Object.keys(vars).filter(k => vars[k].type !== 'section');
+  const issues = [];
+  const changes = {};
+  Object.keys(src).forEach(k => {
+    const desc = vars[k];
+    const value = desc && desc.type === 'choice' && typeof src[k] === 'number' ? String(src[k]) : src[k];
+    if(!desc || desc.type === 'section'){
+      issues.push({ key: k, message: t('Unknown key, ignored{suggestion}.', { suggestion: didYouMean(k, known) }) });
+    } else if(!matchesDescriptorType(desc, value)){
+      issues.push({ key: k, message: t('Expected {expected}, got {got}. Not applied.', { expected: describeExpectedType(desc), got: describeValueType(value) }) });
+    } else if(JSON.stringify(value) !== JSON.stringify(variables[k])){
+      if(desc.readonly) issues.push({ key: k, message: t('Readonly, the change was not applied.') });
+      else changes[k] = value;
     }
+  });
+  Object.keys(exportVariables()).forEach(k => {
+    if(!(k in src)) issues.push({ key: k, message: t('Missing, the current value is kept.') });
+  });
+  return { error: null, issues, changes };
+}
+
+function goToJSONLocation(location){
+  if(!location) return;
+  const offset = lineColumnToOffset(jsonPreview.value, location.line, location.column);
+  jsonPreview.focus();
+  jsonPreview.setSelectionRange(offset, offset);
+}
+
+function makeJSONIssue(text, location){
+  const li = document.createElement('li');
+  const btn = document.createElement('button');
+  btn.className = 'json-issue';
+  btn.textContent = location ? t('Line {line}, column {column}: {text}', { ...location, text }) : text;
+  btn.disabled = !location;
+  btn.addEventListener('click', () => goToJSONLocation(location));
+  li.appendChild(btn);
+  return li;
+}
+
+function renderLiveJSONStatus(result, text){
+  jsonIssues.innerHTML = '';
+  if(result.error){
+    jsonStatus.textContent = t('Invalid JSON, nothing applied:');
+    jsonIssues.appendChild(makeJSONIssue(result.error, result.location));
+  } else if(result.issues.length){
+    jsonStatus.textContent = tn(result.issues.length, '{count} entry needs attention, the rest is applied:', '{count} entries need attention, the rest is applied:');
+    result.issues.forEach(issue => {
+      jsonIssues.appendChild(makeJSONIssue(`${issue.key}: ${issue.message}`, keyLocation(text, issue.key)));
+    });
+  } else {
+    jsonStatus.textContent = t('In sync with the controls.');
+  }
+  jsonWrap.classList.toggle('has-error', Boolean(result.error));
+  jsonRevertBtn.hidden = !result.error && !result.issues.length;
+}
+
+function clearLiveJSONStatus(){
+  jsonStatus.textContent = '';
+  jsonIssues.innerHTML = '';
+  jsonWrap.classList.remove('has-error');
+  jsonRevertBtn.hidden = true;
+}
 
-    if (!targetPath) {
-      throw new Error('Could not find ui/ directory in pack.');
+function applyLiveJSON(){
+  clearTimeout(liveJsonTimer);
+  const text = jsonPreview.value;
+  const result = checkLiveJSON(text);
+  renderLiveJSONStatus(result, text);
+  if(result.error) return result;
+  const keys = Object.keys(result.changes);
+  keys.forEach(k => {
+    variables[k] = structuredClone(result.changes[k]);
+    const sync = controlSyncers.get(k);
+    if(sync) sync();
+  });
+  if(keys.length) updatePreview();
+  return result;
+}
+
+jsonPreview.addEventListener('input', () => {
+  clearTimeout(liveJsonTimer);
+  liveJsonTimer = setTimeout(applyLiveJSON, LIVE_JSON_DELAY_MS);
+});
+
+// Leaving the editor tidies the text up, unless there is something left to fix
+jsonPreview.addEventListener('blur', () => {
+  const result = applyLiveJSON();
+  if(result.error || result.issues.length) return;
+  jsonPreview.value = prettyPrintJSON(exportVariables());
+  clearLiveJSONStatus();
+});
+
+jsonRevertBtn.addEventListener('click', () => {
+  clearTimeout(liveJsonTimer);
+  jsonPreview.value = prettyPrintJSON(exportVariables());
+  clearLiveJSONStatus();
+});
+
+// Import an existing _global_variables.json (file picker, drag-and-drop or paste)
+const importBtn = document.getElementById('importBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importModal = document.getElementById('importModal');
+const closeImportBtn = document.getElementById('closeImport');
+const importTitle = document.getElementById('importTitle');
+const importSummary = document.getElementById('importSummary');
+const importReportEl = document.getElementById('importReport');
+const jsonWrap = document.getElementById('jsonWrap');
+
+function renderReportGroup(title, items){
+  if(!items.length) return null;
+  const group = document.createElement('div');
+  group.className = 'report-group';
+  const h = document.createElement('h3');
+  h.textContent = `${title} (${items.length})`;
+  group.appendChild(h);
+  const ul = document.createElement('ul');
+  items.forEach(item => {
+    const li = document.createElement('li');
+    const key = document.createElement('span');
+    key.className = 'key';
+    key.textContent = item.key;
+    li.appendChild(key);
+    if(item.detail){
+      const detail = document.createElement('span');
+      detail.className = 'report-detail';
+      detail.textContent = item.detail;
+      li.appendChild(detail);
     }
+    ul.appendChild(li);
+  });
+  group.appendChild(ul);
+  return group;
+}
 
-    const updatedJSON = prettyPrintJSON(variables) + '\n';
-    loadedZip.file(targetPath, updatedJSON);
+function showImportReport(report, sourceName, title = t('Import Report')){
+  const total = Object.keys(variables).length;
+  const applied = total - report.missing.length - report.mismatched.length;
+  const changed = Object.keys(variables)
+    .filter(k => JSON.stringify(variables[k]) !== JSON.stringify(defaults[k])).length;
+  importTitle.textContent = title;
+  importSummary.textContent = t('{applied} of {total} values imported from {source}.', { applied, total, source: sourceName }) + ' ' +
+    t('{changed} differ from the defaults and are highlighted.', { changed }) +
+    (report.unmigrated ? ' ' + t('No migration leads from config version {from} to {to}, so the values were used as they are.', report.unmigrated) : '');
+  importReportEl.innerHTML = '';
+  const migration = report.migration;
+  [
+    migration ? renderReportGroup(t('Migrated from config version {from} to {to}', migration), report.migrated) : null,
+    renderReportGroup(t('Unknown keys dropped'), report.dropped.map(key => ({ key }))),
+    renderReportGroup(t('Missing keys filled from defaults'), report.missing.map(key => ({ key, detail: t('default: {value}', { value: JSON.stringify(variables[key]) }) }))),
+    renderReportGroup(t('Type mismatches and readonly values replaced with defaults'), report.mismatched.map(m => ({ key: m.key, detail: t(m.readonly ? 'readonly, kept at {expected} instead of {got}' : 'expected {expected}, got {got}', m) }))),
+  ].forEach(group => { if(group) importReportEl.appendChild(group); });
+  if(!importReportEl.children.length){
+    importReportEl.textContent = migration ?
+      t('Upgraded from config version {from} to {to}, nothing else needed changing.', migration) :
+      t('Every configured key was present with the expected type.');
+  }
+  openModal(importModal, closeImportReport);
+}
 
-    const blob = await loadedZip.generateAsync({ type: 'blob', mimeType: 'application/octet-stream' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = 'PatchedDéesseUI.mcpack';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+function importFromText(text, sourceName){
+  let src;
+  try {
+    src = parseJSONWithComments(text);
+  } catch(e) {
+    status.textContent = t('Import failed: {source} is not valid JSON ({error}).', { source: sourceName, error: e.message });
+    return;
+  }
+  if(!src || typeof src !== 'object' || Array.isArray(src)){
+    status.textContent = t('Import failed: {source} does not contain a JSON object.', { source: sourceName });
+    return;
+  }
+  applyImportedSource(src, sourceName);
+}
 
-    packStatus.textContent = 'Pack patched successfully!';
-    packStatus.style.color = '#00c853';
-    setTimeout(() => {
-      packModal.classList.remove('visible');
-    }, 1500);
+function applyImportedSource(src, sourceName){
+  const report = {};
+  variables = buildSanitizedFromSource(migrateSource(src, report), report);
+  updatePreview(t('Import {source}', { source: sourceName }));
+  renderControlsForVariables();
+  status.textContent = t('Imported {source}.', { source: sourceName });
+  showImportReport(report, sourceName);
+}
 
-  } catch (e) {
+async function importFromFile(file){
+  try {
+    importFromText(await file.text(), file.name);
+  } catch(e) {
     console.error(e);
-    packStatus.textContent = `Error: ${e.message}`;
-    packStatus.style.color = '#ff1744';
-  } finally {
-    autoPackBtn.disabled = false;
+    status.textContent = t('Import failed: could not read {file}.', { file: file.name });
+  }
+}
+
+importBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', () => {
+  if(importFileInput.files.length) importFromFile(importFileInput.files[0]);
+  importFileInput.value = '';
+});
+
+jsonWrap.addEventListener('dragover', (e) => {
+  if(!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  jsonWrap.classList.add('drag-over');
+});
+
+jsonWrap.addEventListener('dragleave', () => {
+  jsonWrap.classList.remove('drag-over');
+});
+
+jsonWrap.addEventListener('drop', (e) => {
+  jsonWrap.classList.remove('drag-over');
+  if(!e.dataTransfer.files.length) return;
+  e.preventDefault();
+  importFromFile(e.dataTransfer.files[0]);
+});
+
+// Pasting over the whole editor imports the file (with a report); smaller pastes are
+// ordinary edits handled by the Live JSON sync
+jsonPreview.addEventListener('paste', (e) => {
+  const text = e.clipboardData && e.clipboardData.getData('text');
+  if(!text) return;
+  const replacesAll = jsonPreview.selectionStart === 0 && jsonPreview.selectionEnd === jsonPreview.value.length;
+  if(!replacesAll && jsonPreview.value.trim()) return;
+  e.preventDefault();
+  importFromText(text, t('pasted JSON'));
+});
+
+function closeImportReport(){
+  closeModal(importModal);
+}
+
+closeImportBtn.addEventListener('click', closeImportReport);
+
+importModal.addEventListener('click', (e) => {
+  if (e.target === importModal) closeImportReport();
+});
+
+// Named profiles, kept in localStorage so they survive closing the tab.
+// Stored as { profiles: [{ id, name, configVersion, updated, values }] }.
+const profilesBtn = document.getElementById('profilesBtn');
+const profilesModal = document.getElementById('profilesModal');
+const closeProfilesBtn = document.getElementById('closeProfiles');
+const profileSaveForm = document.getElementById('profileSaveForm');
+const profileNameInput = document.getElementById('profileNameInput');
+const profileList = document.getElementById('profileList');
+const exportProfilesBtn = document.getElementById('exportProfilesBtn');
+const importProfilesBtn = document.getElementById('importProfilesBtn');
+const profilesFileInput = document.getElementById('profilesFileInput');
+
+function loadProfiles(){
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY_PROFILES);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && Array.isArray(parsed.profiles) ? parsed.profiles : [];
+  } catch(e){
+    console.warn('Could not read profiles', e);
+    return [];
+  }
+}
+
+function saveProfiles(profiles){
+  try {
+    localStorage.setItem(STORAGE_KEY_PROFILES, JSON.stringify({ profiles }));
+    return true;
+  } catch(e){
+    console.warn('Could not save profiles', e);
+    status.textContent = t('Could not save profiles (storage full or disabled).');
+    return false;
+  }
+}
+
+function newProfileId(){
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// "PvP" -> "PvP (2)" when the name is already taken
+function uniqueProfileName(name, profiles){
+  const taken = new Set(profiles.map(p => p.name));
+  if(!taken.has(name)) return name;
+  let i = 2;
+  while(taken.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+
+function isValidProfile(p){
+  return p && typeof p.name === 'string' && p.values && typeof p.values === 'object' && !Array.isArray(p.values);
+}
+
+function exportProfiles(list, filename){
+  const data = { type: 'deesse-profiles', profiles: list.map(({ name, configVersion, updated, values }) => ({ name, configVersion, updated, values })) };
+  downloadText(JSON.stringify(data, null, 2) + '\n', filename);
+}
+
+function loadProfile(profile){
+  const report = {};
+  variables = buildSanitizedFromSource(migrateSource(structuredClone(profile.values), report), report);
+  updatePreview(t('Load profile "{name}"', profile));
+  renderControlsForVariables();
+  status.textContent = t('Loaded profile "{name}".', profile);
+  closeProfiles();
+  if(report.migrated.length || report.dropped.length || report.mismatched.length || report.unmigrated){
+    showImportReport(report, t('profile "{name}"', profile), t('Profile Loaded'));
+  }
+}
+
+function formatProfileDate(ts){
+  const d = new Date(ts);
+  return isNaN(d) ? '' : d.toLocaleString();
+}
+
+function makeProfileButton(text, onClick, className = ''){
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `profile-btn ${className}`.trim();
+  btn.textContent = text;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function renderProfiles(){
+  const profiles = loadProfiles();
+  const current = configVersion();
+  profileList.innerHTML = '';
+  if(!profiles.length){
+    profileList.textContent = t('No profiles saved yet.');
+    return;
+  }
+  profiles.forEach(profile => {
+    const row = document.createElement('div');
+    row.className = 'profile-row';
+
+    const info = document.createElement('div');
+    info.className = 'profile-info';
+    const name = document.createElement('strong');
+    name.textContent = profile.name;
+    const meta = document.createElement('span');
+    meta.className = 'help';
+    const outdated = profile.configVersion && profile.configVersion !== current;
+    meta.textContent = t(outdated ? 'config v{version} (will be migrated)' : 'config v{version}', { version: profile.configVersion ?? '?' }) + ` · ${formatProfileDate(profile.updated)}`;
+    info.appendChild(name);
+    info.appendChild(meta);
+    row.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+    actions.appendChild(makeProfileButton(t('Load'), () => loadProfile(profile), 'profile-load'));
+    actions.appendChild(makeProfileButton(t('Rename'), () => {
+      const next = (prompt(t('New profile name'), profile.name) || '').trim();
+      if(!next || next === profile.name) return;
+      const all = loadProfiles();
+      const target = all.find(p => p.id === profile.id);
+      if(!target) return;
+      target.name = uniqueProfileName(next, all.filter(p => p.id !== profile.id));
+      if(saveProfiles(all)) renderProfiles();
+    }));
+    actions.appendChild(makeProfileButton(t('Duplicate'), () => {
+      const all = loadProfiles();
+      all.push({ ...structuredClone(profile), id: newProfileId(), name: uniqueProfileName(profile.name, all), updated: Date.now() });
+      if(saveProfiles(all)) renderProfiles();
+    }));
+    actions.appendChild(makeProfileButton(t('Export'), () => {
+      exportProfiles([profile], `${profile.name.replace(/[\\/:*?"<>|]+/g, '_')}.profile.json`);
+    }));
+    actions.appendChild(makeProfileButton(t('Delete'), () => {
+      if(!confirm(t('Delete profile "{name}"?', profile))) return;
+      if(saveProfiles(loadProfiles().filter(p => p.id !== profile.id))) renderProfiles();
+    }, 'profile-delete'));
+    row.appendChild(actions);
+    profileList.appendChild(row);
+  });
+}
+
+profilesBtn.addEventListener('click', () => {
+  renderProfiles();
+  openModal(profilesModal, closeProfiles, profileNameInput);
+});
+
+function closeProfiles(){
+  closeModal(profilesModal);
+}
+
+closeProfilesBtn.addEventListener('click', closeProfiles);
+
+profilesModal.addEventListener('click', (e) => {
+  if (e.target === profilesModal) closeProfiles();
+});
+
+profileSaveForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const name = profileNameInput.value.trim();
+  if(!name) return;
+  const profiles = loadProfiles();
+  const existing = profiles.find(p => p.name === name);
+  if(existing && !confirm(t('Overwrite profile "{name}"?', { name }))) return;
+  const entry = { id: existing ? existing.id : newProfileId(), name, configVersion: configVersion(), updated: Date.now(), values: structuredClone(variables) };
+  if(existing) profiles[profiles.indexOf(existing)] = entry;
+  else profiles.push(entry);
+  if(saveProfiles(profiles)){
+    profileNameInput.value = '';
+    status.textContent = t('Saved profile "{name}".', { name });
+    renderProfiles();
+  }
+});
+
+exportProfilesBtn.addEventListener('click', () => {
+  const profiles = loadProfiles();
+  if(profiles.length) exportProfiles(profiles, 'deesse-profiles.json');
+});
+
+importProfilesBtn.addEventListener('click', () => profilesFileInput.click());
+
+profilesFileInput.addEventListener('change', async () => {
+  const file = profilesFileInput.files[0];
+  profilesFileInput.value = '';
+  if(!file) return;
+  try {
+    const data = JSON.parse(await file.text());
+    const incoming = (Array.isArray(data.profiles) ? data.profiles : [data]).filter(isValidProfile);
+    if(!incoming.length) throw new Error(t('No profiles found in file'));
+    const profiles = loadProfiles();
+    incoming.forEach(p => {
+      profiles.push({
+        id: newProfileId(),
+        name: uniqueProfileName(p.name, profiles),
+        configVersion: p.configVersion !== undefined ? String(p.configVersion) : String(p.values[VERSION_KEY] ?? ''),
+        updated: p.updated || Date.now(),
+        values: p.values,
+      });
+    });
+    if(saveProfiles(profiles)){
+      status.textContent = tn(incoming.length, 'Imported {count} profile.', 'Imported {count} profiles.');
+      renderProfiles();
+    }
+  } catch(e) {
+    console.error(e);
+    status.textContent = t('Could not import profiles from {file}.', { file: file.name });
   }
 });
 
@@ -1070,6 +3477,7 @@ const COPY_ICON = `<rect width="14" height="14" x="8" y="8" rx="2" ry="2"/><path
 const CHECK_ICON = `<polyline points="20 6 9 17 4 12"/>`;
 let copyRevertTimer = null;
 copyJsonBtn.addEventListener('click', () => {
+  if(!confirmValidForExport(t('Copy the JSON'))) return;
   navigator.clipboard.writeText(jsonPreview.value).then(() => {
     clearTimeout(copyRevertTimer);
     copyJsonIcon.innerHTML = CHECK_ICON;
@@ -1079,4 +3487,319 @@ copyJsonBtn.addEventListener('click', () => {
   });
 });
 
+// Command palette (Ctrl/Cmd+K) and keyboard shortcuts. Every action here can be run
+// from the palette; its shortcut is the one saved in prefs.shortcuts, otherwise the
+// default below ('' for none). "Mod" is Cmd on a Mac and Ctrl elsewhere.
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+const COMMANDS = {
+  palette: { title: 'Open the command palette', run: () => openCommandPalette() }, // i18n
+  shortcuts: { title: 'Keyboard shortcuts', run: () => openShortcutsHelp() }, // i18n
+  search: { title: 'Search variables', run: () => { searchInput.focus(); searchInput.select(); } }, // i18n
+  download: { title: 'Download _global_variables.json', run: downloadJSON }, // i18n
+  copyJson: { title: 'Copy the JSON', run: () => copyJsonBtn.click() }, // i18n
+  configurePack: { title: 'Configure Pack', run: () => configurePackBtn.click() }, // i18n
+  sidebar: { title: 'Open or close the sections menu', run: () => toggleSidebar() }, // i18n
+  changes: { title: 'List the changes from the defaults', run: () => changesBtn.click() }, // i18n
+  liveJson: { title: 'Go to the Live JSON', run: scrollToLiveJson }, // i18n
+  share: { title: 'Share', run: () => shareBtn.click() }, // i18n
+  profiles: { title: 'Profiles', run: () => profilesBtn.click() }, // i18n
+  import: { title: 'Import _global_variables.json', run: () => importBtn.click() }, // i18n
+  reloadDefaults: { title: 'Reload defaults', run: loadExampleAndApply }, // i18n
+  top: { title: 'Scroll to the top', run: () => scrollToTopBtn.click() }, // i18n
+  undo: { title: 'Undo', run: undo }, // i18n
+  redo: { title: 'Redo', run: redo }, // i18n
+};
+const DEFAULT_SHORTCUTS = {
+  palette: 'Mod+K',
+  shortcuts: '?',
+  search: '/',
+  download: 'Mod+S',
+  copyJson: 'Alt+C',
+  configurePack: 'Alt+P',
+  sidebar: 'Alt+M',
+  changes: 'Alt+D',
+  liveJson: 'Alt+J',
+};
+// Undo and redo keep their own handler (Ctrl+Y too), so their keys can't be changed
+const FIXED_SHORTCUTS = { undo: 'Mod+Z', redo: 'Mod+Shift+Z' };
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'];
+
+const commandPaletteBtn = document.getElementById('commandPaletteBtn');
+const commandModal = document.getElementById('commandModal');
+const closeCommandBtn = document.getElementById('closeCommand');
+const commandInput = document.getElementById('commandInput');
+const commandList = document.getElementById('commandList');
+const commandShortcutsBtn = document.getElementById('commandShortcutsBtn');
+const shortcutsModal = document.getElementById('shortcutsModal');
+const closeShortcutsBtn = document.getElementById('closeShortcuts');
+const shortcutList = document.getElementById('shortcutList');
+const shortcutsStatus = document.getElementById('shortcutsStatus');
+const resetShortcutsBtn = document.getElementById('resetShortcutsBtn');
+let commandResults = [];
+let commandCursor = 0;
+let recordingShortcut = null; // id of the command waiting for its new keys
+
+function shortcutFor(id){
+  if(FIXED_SHORTCUTS[id]) return FIXED_SHORTCUTS[id];
+  const saved = prefs.shortcuts && prefs.shortcuts[id];
+  return typeof saved === 'string' ? saved : DEFAULT_SHORTCUTS[id] || '';
+}
+
+// "Mod+Shift+K" style name of a key press. With a modifier, letters and digits are
+// named by their key so Alt/Option combinations don't turn into accented characters.
+// Shift is left out of symbols that need it anyway ("?")
+function shortcutFromEvent(e){
+  const code = (e.ctrlKey || e.metaKey || e.altKey) && /^(?:Key|Digit)(.)$/.exec(e.code || '');
+  const key = code ? code[1] : e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const parts = [];
+  if(IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if(IS_MAC && e.ctrlKey) parts.push('Ctrl');
+  if(e.altKey) parts.push('Alt');
+  if(e.shiftKey && (code || /^[A-Z]$/.test(key) || key.length > 1)) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+function formatShortcut(shortcut){
+  if(!shortcut) return '';
+  const names = IS_MAC ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' } : { Mod: 'Ctrl' };
+  return shortcut.split('+').map(p => names[p] || p).join(IS_MAC ? '' : '+');
+}
+
+// A shortcut with no modifier (like "?") is only a shortcut outside text fields
+function isPlainShortcut(shortcut){
+  return !/^(Mod|Ctrl|Alt)\+/.test(shortcut);
+}
+
+document.addEventListener('keydown', (e) => {
+  if(recordingShortcut || e.defaultPrevented || e.isComposing || MODIFIER_KEYS.includes(e.key)) return;
+  const pressed = shortcutFromEvent(e);
+  const id = Object.keys(COMMANDS).find(k => !FIXED_SHORTCUTS[k] && shortcutFor(k) === pressed);
+  if(!id) return;
+  const typing = e.target && e.target.matches && e.target.matches('input:not([type="checkbox"]):not([type="range"]):not([type="color"]), textarea, select, [contenteditable]');
+  if(typing && isPlainShortcut(pressed)) return;
+  // While a dialog is open only the palette shortcut (which closes it again) works
+  const visibleModal = document.querySelector('.modal.visible');
+  if(visibleModal && !(id === 'palette' && visibleModal === commandModal)) return;
+  e.preventDefault();
+  COMMANDS[id].run();
+});
+
+// Actions and sections matching the palette input, and variables once something is
+// typed, best first (actions before sections before variables on a tie)
+function commandPaletteResults(query){
+  const vars = config.variables || {};
+  const results = [];
+  Object.entries(COMMANDS).forEach(([id, cmd]) => {
+    // Translated actions can be found by their English name too, without highlighting
+    const title = t(cmd.title);
+    const shown = query ? matchSearchText(title, query) : { score: 0, ranges: [] };
+    const match = shown || (title !== cmd.title && matchSearchText(cmd.title, query));
+    if(!match) return;
+    results.push({ kind: t('Action'), html: highlightHTML(title, shown ? shown.ranges : []), hint: formatShortcut(shortcutFor(id)), score: match.score * SEARCH_FIELD_WEIGHTS.label, run: cmd.run });
+  });
+  Object.keys(vars).filter(k => vars[k].type === 'section').forEach(k => {
+    const label = descLabel(k, vars[k]) || k;
+    const match = query ? matchSearchText(label, query) : { score: 0, ranges: [] };
+    if(!match) return;
+    results.push({ kind: t('Section'), html: highlightHTML(label, match.ranges), hint: '', score: match.score * SEARCH_FIELD_WEIGHTS.label, run: () => scrollToSection(k) });
+  });
+  if(query){
+    Object.keys(vars).forEach(k => {
+      const match = matchesSearch(k, vars[k], query);
+      if(!match) return;
+      const label = descLabel(k, vars[k]) || k;
+      results.push({ kind: t('Variable'), html: highlightHTML(label, match.ranges.label), hint: highlightHTML(k, match.ranges.key), hintHTML: true, score: match.score, run: () => scrollToVariable(k) });
+    });
+    results.sort((a, b) => b.score - a.score);
+  }
+  return results.slice(0, 50);
+}
+
+function renderCommandResults(){
+  commandResults = commandPaletteResults(commandInput.value.trim());
+  commandCursor = 0;
+  commandList.innerHTML = '';
+  if(!commandResults.length){
+    const li = document.createElement('li');
+    li.className = 'command-empty';
+    li.setAttribute('role', 'option');
+    li.setAttribute('aria-disabled', 'true');
+    li.textContent = t('Nothing matches.');
+    commandList.appendChild(li);
+  }
+  commandResults.forEach((r, i) => {
+    const li = document.createElement('li');
+    li.setAttribute('role', 'presentation');
+    const btn = document.createElement('button');
+    btn.className = 'command-item';
+    btn.id = `command-item-${i}`;
+    btn.tabIndex = -1;
+    btn.setAttribute('role', 'option');
+    const kind = document.createElement('span');
+    kind.className = 'command-kind';
+    kind.textContent = r.kind;
+    const title = document.createElement('span');
+    title.className = 'command-title';
+    title.innerHTML = r.html;
+    btn.append(kind, title);
+    if(r.hint){
+      const hint = document.createElement(r.hintHTML ? 'span' : 'kbd');
+      hint.className = r.hintHTML ? 'key' : 'command-shortcut';
+      if(r.hintHTML) hint.innerHTML = r.hint;
+      else hint.textContent = r.hint;
+      btn.appendChild(hint);
+    }
+    btn.addEventListener('click', () => runCommandResult(i));
+    btn.addEventListener('mousemove', () => {
+      if(commandCursor !== i) moveCommandCursor(i - commandCursor);
+    });
+    li.appendChild(btn);
+    commandList.appendChild(li);
+  });
+  moveCommandCursor(0);
+}
+
+function moveCommandCursor(step){
+  const items = commandList.querySelectorAll('.command-item');
+  if(!items.length) return commandInput.removeAttribute('aria-activedescendant');
+  commandCursor = (commandCursor + step + items.length) % items.length;
+  items.forEach((item, i) => {
+    item.classList.toggle('current', i === commandCursor);
+    item.setAttribute('aria-selected', String(i === commandCursor));
+  });
+  commandInput.setAttribute('aria-activedescendant', items[commandCursor].id);
+  items[commandCursor].scrollIntoView({ block: 'nearest' });
+}
+
+function runCommandResult(index){
+  const result = commandResults[index];
+  if(!result) return;
+  closeCommandPalette();
+  result.run();
+}
+
+function openCommandPalette(){
+  if(commandModal.classList.contains('visible')) return closeCommandPalette();
+  commandInput.value = '';
+  renderCommandResults();
+  openModal(commandModal, closeCommandPalette, commandInput);
+}
+
+function closeCommandPalette(){
+  closeModal(commandModal);
+}
+
+commandPaletteBtn.addEventListener('click', openCommandPalette);
+closeCommandBtn.addEventListener('click', closeCommandPalette);
+commandModal.addEventListener('click', (e) => {
+  if (e.target === commandModal) closeCommandPalette();
+});
+commandInput.addEventListener('input', renderCommandResults);
+commandInput.addEventListener('keydown', (e) => {
+  if(e.key === 'ArrowDown' || e.key === 'ArrowUp'){
+    e.preventDefault();
+    moveCommandCursor(e.key === 'ArrowDown' ? 1 : -1);
+  } else if(e.key === 'Enter'){
+    e.preventDefault();
+    runCommandResult(commandCursor);
+  }
+});
+commandShortcutsBtn.addEventListener('click', () => {
+  closeCommandPalette();
+  openShortcutsHelp();
+});
+
+function renderShortcutList(){
+  shortcutList.innerHTML = '';
+  Object.entries(COMMANDS).forEach(([id, cmd]) => {
+    const li = document.createElement('li');
+    li.className = 'shortcut-row';
+    const name = document.createElement('span');
+    name.className = 'shortcut-name';
+    name.textContent = t(cmd.title);
+    const keys = document.createElement('kbd');
+    keys.className = 'command-shortcut';
+    keys.textContent = recordingShortcut === id ? t('Press the new keys…') : formatShortcut(shortcutFor(id)) || '—';
+    li.append(name, keys);
+    if(!FIXED_SHORTCUTS[id]){
+      const btn = document.createElement('button');
+      btn.className = 'profile-btn';
+      btn.textContent = recordingShortcut === id ? t('Cancel') : t('Change');
+      btn.addEventListener('click', () => {
+        recordingShortcut = recordingShortcut === id ? null : id;
+        shortcutsStatus.textContent = '';
+        renderShortcutList();
+      });
+      li.appendChild(btn);
+    }
+    shortcutList.appendChild(li);
+  });
+}
+
+// Saves a shortcut, taking it away from the action that had it. Only the ones that
+// differ from the defaults are kept in the preferences.
+function setShortcut(id, shortcut){
+  const fixed = Object.keys(FIXED_SHORTCUTS).find(k => FIXED_SHORTCUTS[k] === shortcut);
+  if(fixed){
+    shortcutsStatus.textContent = t('{keys} is kept for "{action}".', { keys: formatShortcut(shortcut), action: t(COMMANDS[fixed].title) });
+    return;
+  }
+  const saved = { ...prefs.shortcuts };
+  const previous = shortcut ? Object.keys(COMMANDS).find(k => k !== id && shortcutFor(k) === shortcut) : null;
+  if(previous) saved[previous] = '';
+  saved[id] = shortcut;
+  prefs.shortcuts = Object.fromEntries(Object.entries(saved).filter(([k, v]) => COMMANDS[k] && v !== (DEFAULT_SHORTCUTS[k] || '')));
+  savePrefs();
+  recordingShortcut = null;
+  shortcutsStatus.textContent = previous ? t('{keys} was taken from "{action}".', { keys: formatShortcut(shortcut), action: t(COMMANDS[previous].title) }) : '';
+  renderShortcutList();
+}
+
+// While a shortcut is being changed the next key press is the new shortcut:
+// Escape cancels, Backspace or Delete removes it
+document.addEventListener('keydown', (e) => {
+  if(!recordingShortcut || MODIFIER_KEYS.includes(e.key) || e.key === 'Tab') return;
+  e.preventDefault();
+  e.stopPropagation();
+  if(e.key === 'Escape'){
+    recordingShortcut = null;
+    renderShortcutList();
+  } else {
+    setShortcut(recordingShortcut, e.key === 'Backspace' || e.key === 'Delete' ? '' : shortcutFromEvent(e));
+  }
+}, true);
+
+function openShortcutsHelp(){
+  recordingShortcut = null;
+  shortcutsStatus.textContent = '';
+  renderShortcutList();
+  openModal(shortcutsModal, closeShortcutsHelp);
+}
+
+function closeShortcutsHelp(){
+  recordingShortcut = null;
+  closeModal(shortcutsModal);
+}
+
+closeShortcutsBtn.addEventListener('click', closeShortcutsHelp);
+shortcutsModal.addEventListener('click', (e) => {
+  if (e.target === shortcutsModal) closeShortcutsHelp();
+});
+resetShortcutsBtn.addEventListener('click', () => {
+  delete prefs.shortcuts;
+  savePrefs();
+  recordingShortcut = null;
+  shortcutsStatus.textContent = t('Default shortcuts restored.');
+  renderShortcutList();
+});
+
+// Offline support and installing as an app (sw.js). Service workers don't run from
+// file:// pages, the editor then simply works online only.
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed', e));
+  });
+}
+
 init();
@@ -0,0 +1,1014 @@
+// Config, settings and pack logic shared by the editor page (app.js) and the command
+// line tool (tools/deesse-config.js). Nothing in here touches the DOM or the editor's
+// state: configs, values and packs are passed in. In the page this is the DeesseCore
+// global (loaded after JSZip), in Node it is require('../assets/core.js').
+//
+// Messages meant for users go through t()/tn() and stay in English until the page
+// hands over its translator with setTranslator(). The config check messages are for
+// config authors and are always English.
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./vendor/jszip/jszip.min.js'));
+  else root.DeesseCore = factory(root.JSZip);
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(JSZip){
+'use strict';
+
+const VERSION_KEY = '$déesse_ui_global_variables_version';
+const PACK_VERSION_KEY = '$déesse_ui_pack_version';
+const DEFAULT_PACK_FILENAME = 'PatchedDéesseUI.mcpack';
+const DEFAULT_PACK_OUTPUT = { newUuids: false, bumpVersion: false, name: '', description: '', filename: DEFAULT_PACK_FILENAME };
+
+// Schema for variables-config.json descriptors: allowed inputs and extra fields per type.
+const DESCRIPTOR_COMMON_FIELDS = ['type', 'input', 'readonly', 'label', 'help', 'details', 'default', 'previewURL', 'wrap_underscore', 'depends_on', 'visible_when'];
+const DESCRIPTOR_SCHEMA = {
+  section: { inputs: [], fields: ['type', 'label', 'help', 'link_name'] },
+  boolean: { inputs: ['toggle'], fields: [] },
+  number: { inputs: ['slider', 'text'], fields: ['min', 'max', 'step'] },
+  number_array: { inputs: ['color', 'position'], fields: ['count', 'min', 'max', 'step', 'layout'] },
+  string: { inputs: ['text'], fields: [] },
+  choice: { inputs: ['select'], fields: ['choices'] },
+};
+
+function formatText(text, params){
+  if(!params) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => params[name] !== undefined ? String(params[name]) : m);
+}
+
+let translate = formatText;
+let translatePlural = (count, one, other, params) => formatText(count === 1 ? one : other, { count, ...params });
+
+// translator(text, params) and pluralTranslator(count, one, other, params), as t() and tn() in app.js
+function setTranslator(translator, pluralTranslator){
+  translate = translator;
+  translatePlural = pluralTranslator;
+}
+
+function t(text, params){
+  return translate(text, params);
+}
+
+function tn(count, one, other, params){
+  return translatePlural(count, one, other, params);
+}
+
+// Configs come as { pageName, variables: { ... }, ... } or, in older files, as a flat
+// map of variables with an optional pageName next to them
+function normalizeConfig(raw, pageName){
+  if(raw.variables) return raw;
+  const copy = { variables: {} };
+  Object.keys(raw).forEach(k => {
+    if(k === 'pageName') copy.pageName = raw.pageName;
+    else copy.variables[k] = raw[k];
+  });
+  return { pageName: copy.pageName || pageName, variables: copy.variables };
+}
+
+// Match a manifest version ("1.3.6" or [1, 3, 6]) against a list of releases
+// ({ version, ... } as in config/releases.json)
+function releaseForPackVersion(releases, version){
+  const v = (Array.isArray(version) ? version.join('.') : String(version)).split('.').slice(0, 3).join('.');
+  return releases.find(rel => rel.version === v) || null;
+}
+
+function editDistance(a, b){
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for(let i = 1; i <= a.length; i++){
+    let prev = row[0];
+    row[0] = i;
+    for(let j = 1; j <= b.length; j++){
+      const cur = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = cur;
+    }
+  }
+  return row[b.length];
+}
+
+function didYouMean(value, options){
+  const best = options.map(o => ({ o, d: editDistance(String(value), o) })).sort((x, y) => x.d - y.d)[0];
+  return best && best.d <= 2 ? ` (did you mean "${best.o}"?)` : '';
+}
+
+function isValidURL(str){
+  try { new URL(str); return true; } catch(e) { return false; }
+}
+
+// Markup for "help" and "details": **bold**, `code`, [text](https://...) links, lines
+// starting with "- " as list items, and line breaks. Everything else is text (HTML
+// included), so a config can't put its own markup on the page.
+const HELP_INLINE_RE = /\*\*(.+?)\*\*|`([^`]+)`|\[([^\]]+)\]\(([^()\s]+)\)/g;
+const HELP_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function isSafeHelpLink(href){
+  try { return HELP_LINK_PROTOCOLS.includes(new URL(href).protocol); } catch(e) { return false; }
+}
+
+// One line -> parts { text, bold?, code?, href? }. Links to anything but http(s) and
+// mailto keep only their text
+function parseHelpLine(line){
+  const parts = [];
+  let last = 0;
+  for(const m of line.matchAll(HELP_INLINE_RE)){
+    if(m.index > last) parts.push({ text: line.slice(last, m.index) });
+    if(m[1] !== undefined) parts.push({ text: m[1], bold: true });
+    else if(m[2] !== undefined) parts.push({ text: m[2], code: true });
+    else parts.push(isSafeHelpLink(m[4]) ? { text: m[3], href: m[4] } : { text: m[3] });
+    last = m.index + m[0].length;
+  }
+  if(last < line.length) parts.push({ text: line.slice(last) });
+  return parts;
+}
+
+// Help markup -> blocks { list, lines }: runs of plain lines and runs of list items,
+// each line a list of parts (see parseHelpLine)
+function parseHelpMarkup(text){
+  const blocks = [];
+  String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const item = /^\s*[-*]\s+(.*)$/.exec(line);
+    let block = blocks[blocks.length - 1];
+    if(!block || block.list !== !!item) blocks.push(block = { list: !!item, lines: [] });
+    block.lines.push(parseHelpLine(item ? item[1] : line));
+  });
+  return blocks;
+}
+
+// The text help markup shows, lines joined with \n. Search matches against this, so
+// its positions are the ones the rendered help is highlighted at.
+function helpPlainText(text){
+  return parseHelpMarkup(text).flatMap(b => b.lines).map(line => line.map(p => p.text).join('')).join('\n');
+}
+
+// Validate a config against DESCRIPTOR_SCHEMA. Returns a list of
+// { level: 'error' | 'warning', key, message }; errors are things the editor
+// cannot render correctly, warnings are likely typos or inconsistencies.
+function validateConfig(cfg){
+  const out = [];
+  const add = (level, key, message) => out.push({ level, key, message });
+  const vars = cfg && cfg.variables;
+  if(!vars || typeof vars !== 'object' || Array.isArray(vars)){
+    add('error', null, 'The config has no "variables" object.');
+    return out;
+  }
+  if(!Object.keys(vars).length) add('error', null, 'The config does not describe any variables.');
+  if(cfg.packDownloadUrl !== undefined && !isValidURL(cfg.packDownloadUrl)) add('error', null, '"packDownloadUrl" is not a valid URL.');
+  if(cfg.packSources !== undefined){
+    if(!Array.isArray(cfg.packSources)) add('error', null, '"packSources" must be an array.');
+    else cfg.packSources.forEach((src, i) => {
+      const url = src && typeof src === 'object' ? src.url : src;
+      if(typeof url !== 'string' || !isValidURL(url.replace('{encoded_url}', '').replace('{url}', ''))){
+        add('error', null, `packSources[${i}] needs a "url" (a URL, where {url} or {encoded_url} stands for packDownloadUrl).`);
+      } else if(/\{(encoded_)?url\}/.test(url) && cfg.packDownloadUrl === undefined){
+        add('error', null, `packSources[${i}] uses {url} but there is no "packDownloadUrl".`);
+      }
+      if(src && src.timeoutMs !== undefined && !(src.timeoutMs > 0)) add('warning', null, `packSources[${i}].timeoutMs should be a positive number of milliseconds.`);
+    });
+  }
+  if(cfg.packSourceTimeoutMs !== undefined && !(cfg.packSourceTimeoutMs > 0)) add('warning', null, '"packSourceTimeoutMs" should be a positive number of milliseconds.');
+  if(cfg.packSha256 !== undefined && !/^[0-9a-f]{64}$/i.test(String(cfg.packSha256))) add('error', null, '"packSha256" must be 64 hexadecimal characters.');
+
+  const linkNames = new Map();
+  Object.entries(vars).forEach(([key, desc]) => {
+    if(!desc || typeof desc !== 'object' || Array.isArray(desc)){
+      add('error', key, 'Descriptor is not an object.');
+      return;
+    }
+    const schema = DESCRIPTOR_SCHEMA[desc.type];
+    if(!schema){
+      add('error', key, `Unknown type "${desc.type}"${didYouMean(desc.type, Object.keys(DESCRIPTOR_SCHEMA))}.`);
+      return;
+    }
+    const allowed = desc.type === 'section' ? schema.fields : DESCRIPTOR_COMMON_FIELDS.concat(schema.fields);
+    Object.keys(desc).forEach(field => {
+      if(allowed.includes(field)) return;
+      if(desc.type === 'choice' && /^choice_\d+$/.test(field)) return;
+      add('warning', key, `Unknown field "${field}"${didYouMean(field, allowed)}.`);
+    });
+    ['label', 'help', 'details'].forEach(f => {
+      if(desc[f] === undefined || !allowed.includes(f)) return;
+      if(typeof desc[f] !== 'string'){
+        add('warning', key, `"${f}" should be a string.`);
+        return;
+      }
+      if(f === 'label') return;
+      for(const m of desc[f].matchAll(HELP_INLINE_RE)){
+        if(m[4] !== undefined && !isSafeHelpLink(m[4])) add('warning', key, `"${f}" links to ${m[4]}, only http(s) and mailto links are kept (the text is shown without the link).`);
+      }
+    });
+
+    if(desc.type === 'section'){
+      const linkName = desc.link_name || key;
+      if(linkNames.has(linkName)) add('error', key, `Section link name "${linkName}" is already used by ${linkNames.get(linkName)}.`);
+      linkNames.set(linkName, key);
+      if(!desc.label) add('warning', key, 'Section has no label.');
+      return;
+    }
+
+    if(desc.input !== undefined && !schema.inputs.includes(desc.input)){
+      const inputs = schema.inputs.length ? schema.inputs.map(i => `"${i}"`).join(', ') : 'none';
+      add('warning', key, `Input "${desc.input}" is not valid for type ${desc.type}${didYouMean(desc.input, schema.inputs)}. Allowed: ${inputs}.`);
+    }
+    if(desc.readonly !== undefined && typeof desc.readonly !== 'boolean') add('warning', key, '"readonly" should be true or false.');
+    ['depends_on', 'visible_when'].forEach(f => {
+      if(desc[f] === undefined) return;
+      conditionKeys(desc[f]).forEach(k => {
+        if(!vars[k] || vars[k].type === 'section') add('error', key, `"${f}" refers to ${k}, which is not a configured variable.`);
+        else if(k === key) add('error', key, `"${f}" refers to the variable itself.`);
+      });
+    });
+    if(desc.previewURL !== undefined && !isValidURL(desc.previewURL)) add('error', key, '"previewURL" is not a valid URL.');
+
+    ['min', 'max', 'step'].forEach(f => {
+      if(desc[f] !== undefined && (typeof desc[f] !== 'number' || !Number.isFinite(desc[f]))) add('error', key, `"${f}" must be a number.`);
+    });
+    const hasMin = typeof desc.min === 'number', hasMax = typeof desc.max === 'number';
+    if(hasMin && hasMax && desc.min >= desc.max) add('error', key, `"min" (${desc.min}) must be lower than "max" (${desc.max}).`);
+    if(typeof desc.step === 'number'){
+      if(desc.step <= 0) add('error', key, '"step" must be greater than 0.');
+      else if(hasMin && hasMax && desc.step > desc.max - desc.min) add('warning', key, `"step" (${desc.step}) is larger than the range ${desc.min}–${desc.max}.`);
+    }
+    if(desc.type === 'number' && desc.input === 'slider' && (!hasMin || !hasMax)) add('warning', key, 'Sliders should define both "min" and "max".');
+
+    if(desc.type === 'number_array'){
+      if(desc.count === undefined) add('warning', key, 'number_array has no "count".');
+      else if(!Number.isInteger(desc.count) || desc.count < 1) add('error', key, '"count" must be a positive integer.');
+      else if(Array.isArray(desc.default) && desc.default.length !== desc.count) add('error', key, `"count" is ${desc.count} but the default has ${desc.default.length} values.`);
+      if(desc.input === 'color' && desc.count !== 3 && desc.count !== 4) add('error', key, 'Colour inputs need a "count" of 3 (RGB) or 4 (RGBA).');
+      if(desc.layout !== undefined) validateLayout(key, desc.layout, vars, add);
+    }
+
+    if(desc.type === 'choice'){
+      const choices = getChoices(desc);
+      if(!choices.length) add('error', key, 'Choice has no choices.');
+      else if(new Set(choices).size !== choices.length) add('warning', key, 'Choice lists the same value twice.');
+      if(desc.choices !== undefined && !Array.isArray(desc.choices)) add('error', key, '"choices" must be an array.');
+    }
+
+    if(desc.default === undefined){
+      add('warning', key, `No "default", the editor will use ${JSON.stringify(defaultFor(desc))}.`);
+    } else if(!matchesDescriptorType(desc, desc.default)){
+      add('error', key, `Default ${JSON.stringify(desc.default)} does not match the type (expected ${describeExpectedType(desc)}).`);
+    } else {
+      const values = desc.type === 'number_array' ? desc.default : (desc.type === 'number' && typeof desc.default === 'number' ? [desc.default] : []);
+      values.forEach(v => {
+        if((hasMin && v < desc.min) || (hasMax && v > desc.max)){
+          add('error', key, `Default ${JSON.stringify(desc.default)} is outside ${hasMin ? desc.min : '-∞'}–${hasMax ? desc.max : '∞'}.`);
+        }
+      });
+    }
+  });
+
+  if(cfg.migrations !== undefined){
+    if(!Array.isArray(cfg.migrations)) add('error', null, '"migrations" must be an array.');
+    else cfg.migrations.forEach((m, i) => {
+      if(!m || m.from === undefined || m.to === undefined) add('error', null, `Migration #${i + 1} needs "from" and "to" versions.`);
+      Object.entries((m && m.rename) || {}).forEach(([oldKey, newKey]) => {
+        if(!vars[newKey]) add('warning', null, `Migration #${i + 1} renames ${oldKey} to ${newKey}, which is not a configured variable.`);
+      });
+    });
+  }
+  return out;
+}
+
+function validateLayout(key, layout, vars, add){
+  const anchorKeys = [layout.anchor, layout.from, layout.to].filter(k => k !== undefined);
+  if(!anchorKeys.length) add('error', key, 'Layout needs "anchor" or "from" and "to".');
+  anchorKeys.forEach(k => {
+    if(!vars[k] || vars[k].type !== 'choice') add('error', key, `Layout anchor ${k} is not a configured choice variable.`);
+  });
+  const size = layout.size;
+  if(typeof size === 'string'){
+    if(!vars[size] || vars[size].type !== 'number_array' || vars[size].count !== 2) add('error', key, `Layout size ${size} is not a configured pair of numbers.`);
+  } else if(!(Array.isArray(size) && size.length === 2 && size.every(n => typeof n === 'number'))){
+    add('error', key, 'Layout "size" must be a variable key or [width, height].');
+  }
+}
+
+function defaultFor(desc){
+  if(!desc) return null;
+  if(desc.default !== undefined) return structuredClone(desc.default);
+  if(desc.type === 'boolean') return false;
+  if(desc.type === 'number') return 0;
+  if(desc.type === 'number_array') return Array(desc.count || 2).fill(0);
+  if(desc.type === 'string') return '';
+  if(desc.type === 'choice'){
+    const choices = getChoices(desc);
+    return (choices && choices.length) ? choices[0] : '';
+  }
+  return null;
+}
+
+// Read choices out of the descriptor. Supports:
+// - desc.choices: an array of values
+// - desc.choice_1, desc.choice_2, ... : numbered keys (preserves numeric order)
+function getChoices(desc){
+  if(!desc) return [];
+  if(Array.isArray(desc.choices)) return desc.choices.map(String);
+  const choices = [];
+  Object.keys(desc).forEach(k => {
+    const m = k.match(/^choice_(\d+)$/);
+    if(m){
+      choices.push({ idx: Number(m[1]), val: String(desc[k]) });
+    }
+  });
+  if(choices.length){
+    choices.sort((a,b)=>a.idx-b.idx);
+    return choices.map(c => c.val);
+  }
+  return [];
+}
+
+
+// Conditions for depends_on / visible_when:
+// - "key": the variable is truthy (a boolean that is on)
+// - ["a", "b"]: every condition holds
+// - { "key": k, "equals": v } / { "key": k, "not_equals": v } / { "key": k, "in": [v, ...] }
+// - { "all": [...] }, { "any": [...] }, { "not": condition }
+function evaluateCondition(cond, values){
+  if(typeof cond === 'string') return Boolean(values[cond]);
+  if(Array.isArray(cond)) return cond.every(c => evaluateCondition(c, values));
+  if(!cond || typeof cond !== 'object') return true;
+  if(Array.isArray(cond.all)) return cond.all.every(c => evaluateCondition(c, values));
+  if(Array.isArray(cond.any)) return cond.any.some(c => evaluateCondition(c, values));
+  if(cond.not !== undefined) return !evaluateCondition(cond.not, values);
+  if(cond.key === undefined) return true;
+  const v = JSON.stringify(values[cond.key]);
+  if(cond.equals !== undefined) return v === JSON.stringify(cond.equals);
+  if(cond.not_equals !== undefined) return v !== JSON.stringify(cond.not_equals);
+  if(Array.isArray(cond.in)) return cond.in.some(x => JSON.stringify(x) === v);
+  return Boolean(values[cond.key]);
+}
+
+function conditionKeys(cond){
+  if(typeof cond === 'string') return [cond];
+  if(Array.isArray(cond)) return cond.flatMap(conditionKeys);
+  if(!cond || typeof cond !== 'object') return [];
+  return [
+    ...(cond.key !== undefined ? [cond.key] : []),
+    ...(Array.isArray(cond.all) ? cond.all.flatMap(conditionKeys) : []),
+    ...(Array.isArray(cond.any) ? cond.any.flatMap(conditionKeys) : []),
+    ...(cond.not !== undefined ? conditionKeys(cond.not) : []),
+  ];
+}
+
+function variableConditions(desc){
+  return desc ? [desc.depends_on, desc.visible_when].filter(c => c !== undefined) : [];
+}
+
+// A variable is active when its conditions hold and the variables it depends on are active too
+function isVariableActive(vars, values, key, seen = new Set()){
+  const conds = variableConditions(vars[key]);
+  if(!conds.length || seen.has(key)) return true;
+  seen.add(key);
+  if(!conds.every(c => evaluateCondition(c, values))) return false;
+  return conds.flatMap(conditionKeys).every(k => isVariableActive(vars, values, k, seen));
+}
+
+// The values without the inactive ones, for "leave out inactive options"
+function activeValues(vars, values){
+  const out = {};
+  Object.keys(values).forEach(k => {
+    if(isVariableActive(vars, values, k)) out[k] = values[k];
+  });
+  return out;
+}
+
+function describeRange(desc){
+  const hasMin = typeof desc.min === 'number', hasMax = typeof desc.max === 'number';
+  if(hasMin && hasMax) return t('between {min} and {max}', { min: desc.min, max: desc.max });
+  return hasMin ? t('at least {min}', { min: desc.min }) : t('at most {max}', { max: desc.max });
+}
+
+function isOutOfRange(desc, n){
+  return (typeof desc.min === 'number' && n < desc.min) || (typeof desc.max === 'number' && n > desc.max);
+}
+
+function isOffStep(desc, n){
+  if(typeof desc.step !== 'number' || desc.step <= 0) return false;
+  const steps = (n - (typeof desc.min === 'number' ? desc.min : 0)) / desc.step;
+  return Math.abs(steps - Math.round(steps)) > 1e-6;
+}
+
+// Check a value against its descriptor. Returns an error message, or null when valid.
+// Readonly values are never edited here, so they are not checked.
+function validateValue(desc, value){
+  if(!desc || desc.type === 'section' || desc.readonly) return null;
+  switch(desc.type){
+    case 'boolean':
+      return typeof value === 'boolean' ? null : t('Must be true or false.');
+    case 'number':
+      if(typeof value !== 'number' || !Number.isFinite(value)) return t('Must be a number.');
+      if(isOutOfRange(desc, value)) return t('Must be {range}.', { range: describeRange(desc) });
+      if(isOffStep(desc, value)) return t('Must be in steps of {step}.', { step: desc.step });
+      return null;
+    case 'number_array': {
+      if(!Array.isArray(value)) return t('Must be a list of numbers.');
+      if(desc.count && value.length !== desc.count) return t('Needs exactly {count} numbers.', { count: desc.count });
+      for(let i = 0; i < value.length; i++){
+        const n = value[i];
+        if(typeof n !== 'number' || !Number.isFinite(n)) return t('Value {n} is not a number.', { n: i + 1 });
+        if(isOutOfRange(desc, n)) return t('Value {n} must be {range}.', { n: i + 1, range: describeRange(desc) });
+        if(isOffStep(desc, n)) return t('Value {n} must be in steps of {step}.', { n: i + 1, step: desc.step });
+      }
+      return null;
+    }
+    case 'choice': {
+      const choices = getChoices(desc);
+      if(choices.length && !choices.includes(String(value))) return t('Must be one of {choices}.', { choices: choices.join(', ') });
+      return null;
+    }
+    case 'string':
+      return typeof value === 'string' ? null : t('Must be text.');
+    default:
+      return null;
+  }
+}
+
+function describeValueType(value){
+  if(Array.isArray(value)) return 'array';
+  if(value === null) return 'null';
+  return typeof value;
+}
+
+// Human readable description of what a descriptor expects, used in reports.
+function describeExpectedType(desc){
+  if(!desc) return 'any';
+  if(desc.type === 'number_array') return desc.count ? t('array of {count} numbers', { count: desc.count }) : t('array of numbers');
+  if(desc.type === 'choice'){
+    const choices = getChoices(desc);
+    return choices.length ? t('one of {choices}', { choices: choices.join(', ') }) : 'string';
+  }
+  return desc.type || 'any';
+}
+
+// Check that a value has the shape the descriptor expects.
+function matchesDescriptorType(desc, value){
+  if(!desc || !desc.type) return true;
+  switch(desc.type){
+    case 'boolean': return typeof value === 'boolean';
+    case 'number':
+      // The config version is a "number" stored as a string ("5"), accept that shape too
+      if(typeof desc.default === 'string') return typeof value === 'string' || typeof value === 'number';
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'number_array':
+      return Array.isArray(value) &&
+        value.every(n => typeof n === 'number' && Number.isFinite(n)) &&
+        (!desc.count || value.length === desc.count);
+    case 'choice': {
+      const choices = getChoices(desc);
+      if(typeof value !== 'string' && typeof value !== 'number') return false;
+      return choices.length === 0 || choices.includes(String(value));
+    }
+    default: return true;
+  }
+}
+
+// Always return an object with keys from the config's variables using source if present,
+// otherwise falling back to desc.default or a sensible default.
+// Values whose type doesn't match the descriptor are replaced by the default too, and
+// so are readonly ones (the version keys), which always come from the config.
+// Pass a report object to collect what was dropped, filled in or replaced:
+// { dropped: [key], missing: [key], mismatched: [{ key, expected, got, readonly? }] }
+function buildSanitizedFromSource(vars, source, report){
+  const out = {};
+  if(report){
+    report.dropped = [];
+    report.missing = [];
+    report.mismatched = [];
+  }
+  Object.keys(vars).forEach(k => {
+    const desc = vars[k];
+    if(desc && desc.type === 'section') return;
+    if(source && Object.prototype.hasOwnProperty.call(source, k)) {
+      if(desc.readonly && JSON.stringify(source[k]) !== JSON.stringify(defaultFor(desc))){
+        out[k] = defaultFor(desc);
+        if(report) report.mismatched.push({ key: k, expected: JSON.stringify(out[k]), got: JSON.stringify(source[k]), readonly: true });
+      } else if(matchesDescriptorType(desc, source[k])){
+        out[k] = source[k];
+      } else {
+        out[k] = defaultFor(desc);
+        if(report) report.mismatched.push({ key: k, expected: describeExpectedType(desc), got: JSON.stringify(source[k]) });
+      }
+    } else {
+      out[k] = defaultFor(vars[k]);
+      if(report) report.missing.push(k);
+    }
+  });
+  if(report && source){
+    Object.keys(source).forEach(k => {
+      if(!vars[k] || vars[k].type === 'section') report.dropped.push(k);
+    });
+  }
+  return out;
+}
+
+// Bedrock JSON UI files usually contain // and /* */ comments and sometimes
+// trailing commas. Blank them out (keeping line/column positions intact) so
+// JSON.parse can read the result.
+function stripJSONComments(text){
+  let out = '';
+  let inString = false;
+  for(let i = 0; i < text.length; i++){
+    const c = text[i];
+    if(inString){
+      out += c;
+      if(c === '\\' && i + 1 < text.length){ out += text[++i]; continue; }
+      if(c === '"') inString = false;
+      continue;
+    }
+    if(c === '"'){ inString = true; out += c; continue; }
+    if(c === '/' && text[i + 1] === '/'){
+      let end = text.indexOf('\n', i);
+      if(end === -1) end = text.length;
+      out += ' '.repeat(end - i);
+      i = end - 1;
+      continue;
+    }
+    if(c === '/' && text[i + 1] === '*'){
+      let end = text.indexOf('*/', i + 2);
+      end = end === -1 ? text.length : end + 2;
+      out += text.slice(i, end).replace(/[^\n]/g, ' ');
+      i = end - 1;
+      continue;
+    }
+    out += c;
+  }
+  return out;
+}
+
+function stripTrailingCommas(text){
+  let out = '';
+  let inString = false;
+  for(let i = 0; i < text.length; i++){
+    const c = text[i];
+    if(inString){
+      out += c;
+      if(c === '\\' && i + 1 < text.length){ out += text[++i]; continue; }
+      if(c === '"') inString = false;
+      continue;
+    }
+    if(c === '"'){ inString = true; out += c; continue; }
+    if(c === ','){
+      let j = i + 1;
+      while(j < text.length && /\s/.test(text[j])) j++;
+      if(text[j] === '}' || text[j] === ']'){ out += ' '; continue; }
+    }
+    out += c;
+  }
+  return out;
+}
+
+function parseJSONWithComments(text){
+  return JSON.parse(stripTrailingCommas(stripJSONComments(String(text).replace(/^\uFEFF/, ''))));
+}
+
+// A small scanner for JSON with comments that reports where each top-level entry
+// sits in the text, so values can be replaced without re-serialising the file.
+function skipJSONTrivia(text, i){
+  while(i < text.length){
+    const c = text[i];
+    if(c === ' ' || c === '\t' || c === '\n' || c === '\r' || c === '\uFEFF'){ i++; continue; }
+    if(c === '/' && text[i + 1] === '/'){
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl + 1;
+      continue;
+    }
+    if(c === '/' && text[i + 1] === '*'){
+      const end = text.indexOf('*/', i + 2);
+      if(end === -1) throw new Error(`Unterminated comment at position ${i}`);
+      i = end + 2;
+      continue;
+    }
+    break;
+  }
+  return i;
+}
+
+// i is the opening quote, returns the index after the closing one
+function scanJSONString(text, i){
+  for(let j = i + 1; j < text.length; j++){
+    if(text[j] === '\\'){ j++; continue; }
+    if(text[j] === '"') return j + 1;
+  }
+  throw new Error(`Unterminated string at position ${i}`);
+}
+
+// i is the first character of a value, returns the index after its end
+function scanJSONValue(text, i){
+  const c = text[i];
+  if(c === '"') return scanJSONString(text, i);
+  if(c === '{' || c === '['){
+    let depth = 0;
+    let j = i;
+    while(j < text.length){
+      j = skipJSONTrivia(text, j);
+      const d = text[j];
+      if(d === '"'){ j = scanJSONString(text, j); continue; }
+      if(d === '{' || d === '[') depth++;
+      else if(d === '}' || d === ']'){
+        depth--;
+        if(depth === 0) return j + 1;
+      }
+      j++;
+    }
+    throw new Error(`Unterminated ${c === '{' ? 'object' : 'array'} at position ${i}`);
+  }
+  const literal = /[^\s,}\]\/]+/y;
+  literal.lastIndex = i;
+  const m = literal.exec(text);
+  if(!m) throw new Error(`Unexpected character at position ${i}`);
+  return i + m[0].length;
+}
+
+// Returns { close, entries: [{ key, keyStart, valueStart, valueEnd }] } for the top-level object
+function scanJSONObjectEntries(text){
+  let i = skipJSONTrivia(text, 0);
+  if(text[i] !== '{') throw new Error('The file does not contain a JSON object.');
+  const entries = [];
+  i = skipJSONTrivia(text, i + 1);
+  while(text[i] !== '}'){
+    if(text[i] !== '"') throw new Error(`Expected a key at position ${i}`);
+    const keyStart = i;
+    i = scanJSONString(text, i);
+    const key = JSON.parse(text.slice(keyStart, i));
+    i = skipJSONTrivia(text, i);
+    if(text[i] !== ':') throw new Error(`Expected ':' at position ${i}`);
+    const valueStart = skipJSONTrivia(text, i + 1);
+    const valueEnd = scanJSONValue(text, valueStart);
+    entries.push({ key, keyStart, valueStart, valueEnd });
+    i = skipJSONTrivia(text, valueEnd);
+    if(text[i] === ','){
+      i = skipJSONTrivia(text, i + 1);
+    } else if(text[i] !== '}'){
+      throw new Error(`Expected ',' or '}' at position ${i}`);
+    }
+  }
+  return { close: i, entries };
+}
+
+// Write values into an existing _global_variables.json text. Only entries whose
+// value changes are touched; other keys, comments and the key order stay as they
+// are, and keys the file lacks are added at the end of the object.
+// Returns { text, updated, added, changedLines } (changedLines are 1-based).
+function mergeGlobalVariablesText(original, values){
+  const { close, entries } = scanJSONObjectEntries(original);
+  const edits = [];
+  const updated = [];
+  const seen = new Set();
+  entries.forEach(e => {
+    seen.add(e.key);
+    if(!(e.key in values)) return;
+    let old;
+    try { old = parseJSONWithComments(original.slice(e.valueStart, e.valueEnd)); } catch(_) { old = undefined; }
+    if(JSON.stringify(old) === JSON.stringify(values[e.key])) return;
+    edits.push({ start: e.valueStart, end: e.valueEnd, text: prettyPrintJSON(values[e.key]), changed: true });
+    if(!updated.includes(e.key)) updated.push(e.key);
+  });
+
+  const added = Object.keys(values).filter(k => !seen.has(k));
+  if(added.length){
+    const last = entries[entries.length - 1];
+    let indent = '  ';
+    if(last){
+      const lead = original.slice(original.lastIndexOf('\n', last.keyStart - 1) + 1, last.keyStart);
+      if(/^[ \t]+$/.test(lead)) indent = lead;
+      if(original[skipJSONTrivia(original, last.valueEnd)] !== ',') edits.push({ start: last.valueEnd, end: last.valueEnd, text: ',' });
+    }
+    const block = added.map(k => `${indent}${JSON.stringify(k)}: ${prettyPrintJSON(values[k])}`).join(',\n');
+    const closeLineStart = original.lastIndexOf('\n', close - 1) + 1;
+    if(closeLineStart > 0 && original.slice(closeLineStart, close).trim() === ''){
+      edits.push({ start: closeLineStart, end: closeLineStart, text: block + '\n', changed: true });
+    } else {
+      edits.push({ start: close, end: close, text: '\n' + block + '\n', changed: true });
+    }
+  }
+
+  edits.sort((a, b) => a.start - b.start);
+  const countLines = str => str.split('\n').length - 1;
+  let text = '';
+  let pos = 0;
+  let line = 1;
+  const changedLines = new Set();
+  edits.forEach(e => {
+    const before = original.slice(pos, e.start);
+    text += before;
+    line += countLines(before);
+    if(e.changed){
+      // An insertion at the start of a line begins on that line, a trailing newline does not add one
+      const span = countLines(e.text.replace(/^\n/, '').replace(/\n$/, ''));
+      const first = line + (e.text.startsWith('\n') ? 1 : 0);
+      for(let l = first; l <= first + span; l++) changedLines.add(l);
+    }
+    text += e.text;
+    line += countLines(e.text);
+    pos = e.end;
+  });
+  text += original.slice(pos);
+  return { text, updated, added, changedLines: [...changedLines] };
+}
+
+// Round away float noise such as 0.1 * 3 = 0.30000000000000004
+function roundMigrated(n){
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Apply one "transform" entry of a migration step to a value. Supported fields
+// (applied in this order): map { old: new }, multiply, add, invert, set.
+function applyMigrationTransform(value, t){
+  const each = fn => Array.isArray(value) ? value.map(v => typeof v === 'number' ? fn(v) : v) : (typeof value === 'number' ? fn(value) : value);
+  if(t.map && Object.prototype.hasOwnProperty.call(t.map, String(value))) value = t.map[String(value)];
+  if(typeof t.multiply === 'number') value = each(v => roundMigrated(v * t.multiply));
+  if(typeof t.add === 'number') value = each(v => roundMigrated(v + t.add));
+  if(t.invert && typeof value === 'boolean') value = !value;
+  if(t.set !== undefined) value = structuredClone(t.set);
+  return value;
+}
+
+// Upgrade settings written for an older config version using the config's migrations:
+// [{ from, to, rename: { old: new }, remove: [key], choices: { key: { old: new } }, transform: { key: {...} } }]
+// Steps are chained from the source's version. Returns a new object; pass a
+// report object to collect { migration: { from, to }, migrated: [{ key, detail }] },
+// plus unmigrated: { from, to } when no steps lead to the config's version.
+function migrateSource(cfg, source, report){
+  if(report) report.migrated = [];
+  const migrations = Array.isArray(cfg.migrations) ? cfg.migrations : [];
+  if(!source || source[VERSION_KEY] === undefined) return source;
+  const versionDesc = (cfg.variables || {})[VERSION_KEY];
+  const current = versionDesc && versionDesc.default !== undefined ? String(versionDesc.default) : null;
+  const out = { ...source };
+  const from = String(source[VERSION_KEY]);
+  const seen = new Set();
+  const note = (key, detail) => { if(report) report.migrated.push({ key, detail }); };
+  let version = from;
+  let step;
+  while(!seen.has(version) && (step = migrations.find(m => String(m.from) === version))){
+    seen.add(version);
+    const to = String(step.to);
+    Object.entries(step.rename || {}).forEach(([oldKey, newKey]) => {
+      if(!Object.prototype.hasOwnProperty.call(out, oldKey)) return;
+      if(!Object.prototype.hasOwnProperty.call(out, newKey)) out[newKey] = out[oldKey];
+      delete out[oldKey];
+      note(oldKey, t('renamed to {key} (version {version})', { key: newKey, version: to }));
+    });
+    (step.remove || []).forEach(key => {
+      if(!Object.prototype.hasOwnProperty.call(out, key)) return;
+      delete out[key];
+      note(key, t('removed in version {version}', { version: to }));
+    });
+    Object.entries(step.choices || {}).forEach(([key, map]) => {
+      if(!Object.prototype.hasOwnProperty.call(out, key)) return;
+      const before = String(out[key]);
+      if(!Object.prototype.hasOwnProperty.call(map, before)) return;
+      out[key] = map[before];
+      note(key, t('choice "{before}" is now "{after}" (version {version})', { before, after: out[key], version: to }));
+    });
+    Object.entries(step.transform || {}).forEach(([key, transform]) => {
+      if(!Object.prototype.hasOwnProperty.call(out, key)) return;
+      const before = out[key];
+      out[key] = applyMigrationTransform(before, transform || {});
+      if(JSON.stringify(before) !== JSON.stringify(out[key])){
+        note(key, `${JSON.stringify(before)} → ${JSON.stringify(out[key])} ` + t('(version {version})', { version: to }));
+      }
+    });
+    version = to;
+  }
+  if(report && current !== null && version !== current) report.unmigrated = { from: version, to: current };
+  if(version === from) return source;
+  out[VERSION_KEY] = version;
+  if(report) report.migration = { from, to: version };
+  return out;
+}
+
+// Pretty print JSON but keep simple arrays of primitives on a single line.
+// - Uses JSON.stringify(obj, null, 2) then collapses arrays that don't contain objects/arrays.
+// This keeps arrays like [0, 1, -0.5] inline while preserving readable indentation elsewhere.
+function prettyPrintJSON(obj){
+  let s = JSON.stringify(obj, null, 2);
+  // Collapse arrays consisting only of primitives (no nested objects/arrays).
+  // Pattern: [\n   <primitive>,\n   <primitive>\n  ]
+  s = s.replace(/\[\n(\s*)([^\[\]\{\}]*?)\n\s*\]/gs, (m, indent, inner) => {
+    // inner contains lines like "0,", "1,", "-0.5," or strings with quotes.
+    // Convert interior newlines + indentation to single spaces, and normalize commas/spaces.
+    const oneLine = inner
+      .replace(/\n\s*/g, ' ')     // join lines with spaces
+      .replace(/,\s*/g, ', ')     // ensure a space after commas
+      .trim();
+    if(oneLine === '') return '[]';
+    return '[' + oneLine + ']';
+  });
+  return s;
+}
+
+// The manifest sits next to the ui/ folder; otherwise take the shallowest one
+function findPackManifestPath(zip, globalsPath){
+  const dir = globalsPath.slice(0, globalsPath.length - 'ui/_global_variables.json'.length);
+  if(zip.file(dir + 'manifest.json')) return dir + 'manifest.json';
+  return Object.keys(zip.files).filter(p => /(^|\/)manifest\.json$/.test(p))
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0] || null;
+}
+
+// [1, 2, 3] -> [1, 2, 4] (format_version 2), "1.2.3" -> "1.2.4" (format_version 3)
+function bumpPackVersion(version){
+  if(Array.isArray(version) && version.length){
+    return version.map((n, i) => i === version.length - 1 ? (Number(n) || 0) + 1 : n);
+  }
+  const m = typeof version === 'string' ? /^(\d+)\.(\d+)\.(\d+)/.exec(version) : null;
+  return m ? `${m[1]}.${m[2]}.${Number(m[3]) + 1}` : version;
+}
+
+function formatPackVersion(version){
+  return Array.isArray(version) ? version.join('.') : String(version);
+}
+
+// Apply the output options ({ newUuids, bumpVersion, name, description }) to the
+// pack's manifest.json. Returns a short note for the status line, empty when the
+// manifest was left alone.
+async function rewritePackManifest(zip, globalsPath, opts){
+  const name = String(opts.name || '').trim();
+  const description = String(opts.description || '').trim();
+  if(!opts.newUuids && !opts.bumpVersion && !name && !description) return '';
+
+  const path = findPackManifestPath(zip, globalsPath);
+  if(!path) throw new Error(t('Could not find manifest.json in pack.'));
+
+  const manifest = parseJSONWithComments(await zip.file(path).async('string'));
+  if(!manifest || typeof manifest !== 'object' || !manifest.header) throw new Error(t('manifest.json has no header.'));
+  const header = manifest.header;
+  const modules = Array.isArray(manifest.modules) ? manifest.modules : [];
+  const notes = [];
+  if(opts.newUuids){
+    header.uuid = crypto.randomUUID();
+    modules.forEach(m => { m.uuid = crypto.randomUUID(); });
+    notes.push(t('new UUIDs'));
+  }
+  if(opts.bumpVersion){
+    header.version = bumpPackVersion(header.version);
+    modules.forEach(m => { m.version = bumpPackVersion(m.version); });
+    notes.push(t('version {version}', { version: formatPackVersion(header.version) }));
+  }
+  if(name){
+    header.name = name;
+    notes.push(t('named "{name}"', { name }));
+  }
+  if(description){
+    header.description = description;
+    notes.push(t('new description'));
+  }
+  zip.file(path, prettyPrintJSON(manifest) + '\n');
+  return ` (${notes.join(', ')})`;
+}
+
+function configPackRelease(cfg){
+  const desc = (cfg.variables || {})[PACK_VERSION_KEY];
+  const sources = [desc && desc.default, cfg.packDownloadUrl].filter(v => typeof v === 'string');
+  for(const source of sources){
+    const m = /v?(\d+\.\d+\.\d+)/.exec(decodeURIComponent(source));
+    if(m) return { version: m[1], label: desc && desc.default ? String(desc.default) : `v${m[1]}` };
+  }
+  return null;
+}
+
+// Open a pack (anything JSZip reads: ArrayBuffer, Blob, Buffer) and find where it
+// keeps ui/_global_variables.json. A pack without one gets the file next to its
+// ui/ folder. Returns { zip, globalsPath, originalText } (originalText is null
+// when the file has to be created).
+async function openPack(data){
+  const zip = await new JSZip().loadAsync(data);
+  const files = Object.keys(zip.files);
+  let globalsPath = files.find(path => path.endsWith('ui/_global_variables.json')) || null;
+  if(!globalsPath){
+    const uiPath = files.find(path => path.includes('/ui/') || path.startsWith('ui/'));
+    if(uiPath){
+      const parts = uiPath.split('/ui/');
+      globalsPath = parts[0] + (parts[0] ? '/' : '') + 'ui/_global_variables.json';
+    }
+  }
+  if(!globalsPath) throw new Error(t('Could not find ui/ directory in pack.'));
+  const original = zip.file(globalsPath);
+  return { zip, globalsPath, originalText: original ? await original.async('string') : null };
+}
+
+// header.version of the pack's manifest.json ([1, 3, 6] or "1.3.6"), undefined when
+// there is none. Throws when the manifest doesn't parse.
+async function packManifestVersion(zip, globalsPath){
+  const manifestPath = findPackManifestPath(zip, globalsPath);
+  if(!manifestPath) return undefined;
+  const manifest = parseJSONWithComments(await zip.file(manifestPath).async('string'));
+  return manifest && manifest.header ? manifest.header.version : undefined;
+}
+
+// Compatibility of a pack with a config: its manifest version against the release
+// the config describes, and its _global_variables.json keys against the config's variables.
+// manifestError holds the error when manifest.json couldn't be read.
+async function checkPackCompatibility(pack, cfg){
+  const result = { versionNote: '', versionOk: true, missing: [], extra: [], mismatched: [], unreadable: false, manifestError: null };
+  const release = configPackRelease(cfg);
+  let packVersion = null;
+  try {
+    const version = await packManifestVersion(pack.zip, pack.globalsPath);
+    if(version !== undefined) packVersion = formatPackVersion(version);
+  } catch(e) {
+    result.manifestError = e;
+  }
+  if(!release){
+    result.versionNote = packVersion ? t('Pack version {version}. The config does not name a release to compare with.', { version: packVersion }) : '';
+  } else if(!packVersion){
+    result.versionOk = false;
+    result.versionNote = t('The pack\'s manifest.json has no readable version, the editor is set up for Déesse UI {release}.', { release: release.label });
+  } else if(packVersion.split('.').slice(0, 3).join('.') !== release.version){
+    result.versionOk = false;
+    result.versionNote = t('This pack is version {version}, but the editor is set up for Déesse UI {release}. Patching it may break the pack.', { version: packVersion, release: release.label });
+  } else {
+    result.versionNote = t('Pack version {version} matches the editor config ({release}).', { version: packVersion, release: release.label });
+  }
+
+  if(pack.originalText === null) return result;
+  let src;
+  try {
+    src = parseJSONWithComments(pack.originalText);
+  } catch(e) {
+    result.unreadable = true;
+    return result;
+  }
+  const vars = cfg.variables || {};
+  Object.keys(vars).forEach(k => {
+    const desc = vars[k];
+    if(desc.type === 'section') return;
+    if(!(k in src)) result.missing.push(k);
+    else if(!matchesDescriptorType(desc, src[k])) result.mismatched.push({ key: k, expected: describeExpectedType(desc), got: describeValueType(src[k]) });
+  });
+  result.extra = Object.keys(src).filter(k => !vars[k] || vars[k].type === 'section');
+  return result;
+}
+
+// Merge the values into the pack's own file when it has one and it can be read,
+// otherwise write the file from scratch (`error` then says why the merge failed)
+function buildPatchedGlobals(originalText, values, vars){
+  const full = prettyPrintJSON(values) + '\n';
+  if(originalText === null) return { text: full, note: t('The pack had no _global_variables.json, a new one is written.') };
+  try {
+    const merged = mergeGlobalVariablesText(originalText, values);
+    const kept = Object.keys(parseJSONWithComments(originalText)).filter(k => !vars[k]).length;
+    return {
+      text: merged.text,
+      changedLines: merged.changedLines,
+      note: tn(merged.updated.length, '{count} value updated and {added} added.', '{count} values updated and {added} added.', { added: merged.added.length }) + ' ' +
+        tn(kept, '{count} key this editor doesn\'t know about, the comments and the key order are kept.', '{count} keys this editor doesn\'t know about, the comments and the key order are kept.'),
+    };
+  } catch(e) {
+    return { text: full, error: e, note: t('The pack\'s _global_variables.json could not be read ({error}), it is replaced as a whole.', { error: e.message }) };
+  }
+}
+
+// Reopen the generated pack and check that it is a readable zip whose files parse
+// and hold the values that were written
+async function verifyPatchedPack(data, globalsPath, expectedValues){
+  let zip;
+  try {
+    zip = await new JSZip().loadAsync(data);
+  } catch(e) {
+    throw new Error(t('The patched pack could not be reopened ({error}).', { error: e.message }));
+  }
+  const globals = zip.file(globalsPath);
+  if(!globals) throw new Error(t('The patched pack is missing its _global_variables.json.'));
+  let written;
+  try {
+    written = parseJSONWithComments(await globals.async('string'));
+  } catch(e) {
+    throw new Error(t('The patched _global_variables.json does not parse ({error}).', { error: e.message }));
+  }
+  const wrong = Object.keys(expectedValues).filter(k => JSON.stringify(written[k]) !== JSON.stringify(expectedValues[k]));
+  if(wrong.length) throw new Error(t('The patched _global_variables.json has unexpected values for {keys}.', { keys: wrong.join(', ') }));
+  const manifestPath = findPackManifestPath(zip, globalsPath);
+  if(manifestPath){
+    try {
+      parseJSONWithComments(await zip.file(manifestPath).async('string'));
+    } catch(e) {
+      throw new Error(t('The patched manifest.json does not parse ({error}).', { error: e.message }));
+    }
+  }
+}
+
+// Write the patched _global_variables.json text into an opened pack, apply the
+// manifest options and build the new pack as `type` ('blob' in the page,
+// 'nodebuffer' in Node). The result is verified before it is returned as
+// { data, manifestNote }.
+async function writePatchedPack(pack, text, values, opts, type){
+  pack.zip.file(pack.globalsPath, text);
+  const manifestNote = await rewritePackManifest(pack.zip, pack.globalsPath, opts);
+  const data = await pack.zip.generateAsync({ type, mimeType: 'application/octet-stream' });
+  await verifyPatchedPack(data, pack.globalsPath, values);
+  return { data, manifestNote };
+}
+
+return {
+  VERSION_KEY, PACK_VERSION_KEY, DEFAULT_PACK_FILENAME, DEFAULT_PACK_OUTPUT, DESCRIPTOR_SCHEMA,
+  formatText, setTranslator, normalizeConfig, releaseForPackVersion,
+  editDistance, didYouMean, isValidURL, validateConfig, defaultFor, getChoices,
+  parseHelpMarkup, helpPlainText,
+  evaluateCondition, conditionKeys, variableConditions, isVariableActive, activeValues,
+  validateValue, describeValueType, describeExpectedType, matchesDescriptorType, buildSanitizedFromSource,
+  parseJSONWithComments, mergeGlobalVariablesText, prettyPrintJSON, migrateSource,
+  findPackManifestPath, bumpPackVersion, formatPackVersion, configPackRelease,
+  openPack, packManifestVersion, checkPackCompatibility, buildPatchedGlobals, writePatchedPack,
+};
+});
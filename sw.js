@@ -0,0 +1,122 @@
+// Service worker: keeps the editor working offline. The app shell, the release
+// configs, the example and the preview images are cached on install, and JSZip is
+// vendored, so Upload patching needs no network at all.
+//
+// Page files are fetched network-first (so updates show up as soon as the site is
+// online) and fall back to the cache; images are served cache-first.
+// Bump CACHE when the SHELL list changes.
+const CACHE = 'deesse-editor-v3';
+const SHELL = [
+  './',
+  'index.html',
+  'assets/styles.css',
+  'assets/core.js',
+  'assets/app.js',
+  'assets/vendor/jszip/jszip.min.js',
+  'manifest.webmanifest',
+  'favicon.ico',
+  'Resources/logo.png',
+  'Resources/icons/icon-192.png',
+  'Resources/icons/icon-512.png',
+  'config/releases.json',
+  'config/variables-config.json',
+  'locales/index.json',
+  'locales/fr.json',
+  'examples/_global_variables.example.json',
+];
+// The configs point their previewURLs at this repository on raw.githubusercontent.com;
+// those are the same files as Resources/ here, so they are served from the local copies.
+const RAW_REPO_PREFIX = 'https://raw.githubusercontent.com/Maxpro131/Maxpro131.github.io/refs/heads/main/';
+
+function scopeURL(path){
+  return new URL(path, self.registration.scope).href;
+}
+
+function localURL(url){
+  return url.startsWith(RAW_REPO_PREFIX) ? scopeURL(url.slice(RAW_REPO_PREFIX.length)) : url;
+}
+
+// Query strings such as ?v=26 only bust the HTTP cache, one cached copy per file is enough
+function cacheKey(url){
+  const u = new URL(url);
+  u.search = '';
+  u.hash = '';
+  return u.href;
+}
+
+// Cache every release config and collect the preview images they use
+async function cacheConfigs(cache){
+  const images = new Set();
+  try {
+    const indexURL = scopeURL('config/releases.json');
+    const index = await (await fetch(indexURL)).json();
+    for(const release of index.releases || []){
+      const url = new URL(release.config, indexURL).href;
+      const r = await fetch(url);
+      if(!r.ok) continue;
+      await cache.put(url, r.clone());
+      const config = await r.json();
+      Object.values(config.variables || {}).forEach(desc => {
+        if(desc && typeof desc.previewURL === 'string') images.add(localURL(desc.previewURL));
+      });
+    }
+  } catch(e) {
+    console.warn('Could not cache the release configs', e);
+  }
+  return [...images].filter(url => url.startsWith(self.registration.scope));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    const images = await cacheConfigs(cache);
+    // A missing image must not stop the install, the config check reports those
+    await Promise.all(images.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request, key){
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if(response.ok) await cache.put(key, response.clone());
+    return response;
+  } catch(e) {
+    const cached = await cache.match(key);
+    if(cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(key){
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(key);
+  if(cached) return cached;
+  const response = await fetch(key);
+  if(response.ok) await cache.put(key, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if(request.method !== 'GET') return;
+  const url = localURL(request.url);
+  // Other sites (pack downloads, proxies) are left to the network
+  if(!url.startsWith(self.registration.scope)) return;
+  const key = request.mode === 'navigate' ? scopeURL('./') : cacheKey(url);
+  if(/\/Resources\//.test(key)){
+    event.respondWith(cacheFirst(key).catch(() => fetch(request)));
+  } else {
+    event.respondWith(networkFirst(url === request.url ? request : key, key));
+  }
+});
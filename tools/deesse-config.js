@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// Command line version of the editor, for build scripts: checks settings files,
+// writes _global_variables.json and patches packs without a browser. It uses the
+// same code as the page (assets/core.js) and the vendored JSZip, so there is
+// nothing to install.
+//
+//   node tools/deesse-config.js patch <pack.mcpack> <settings.json> -o <out.mcpack> [options]
+//   node tools/deesse-config.js generate <settings.json> [-o <_global_variables.json>] [options]
+//   node tools/deesse-config.js validate <settings.json> [options]
+//
+// settings.json is a _global_variables.json, complete or with only the values to
+// change: missing values keep what the pack has (patch) or get the config defaults,
+// and settings from an older config version are migrated, as when importing them in
+// the editor.
+//
+// Options:
+//   --config <file>        variables config to use. By default the release of the pack
+//                          being patched is looked up in config/releases.json, otherwise
+//                          the default release is used
+//   --omit-inactive        leave out options whose depends_on / visible_when don't hold
+//   --force                write the file even when values are invalid
+//   --new-uuids, --bump-version, --name <name>, --description <text>
+//                          manifest.json changes for the patched pack
+//
+// Exit code 1 when the settings have invalid values (and nothing was written) or
+// the config can't be used, 2 for usage errors.
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../assets/core.js');
+
+const RELEASES_FILE = path.join(__dirname, '..', 'config', 'releases.json');
+const USAGE = `Usage:
+  deesse-config patch <pack.mcpack> <settings.json> -o <out.mcpack> [options]
+  deesse-config generate <settings.json> [-o <_global_variables.json>] [options]
+  deesse-config validate <settings.json> [options]
+
+Options: --config <file>, --omit-inactive, --force,
+         --new-uuids, --bump-version, --name <name>, --description <text> (patch only)`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv){
+  const withValue = ['-o', '--output', '--config', '--name', '--description'];
+  const flags = ['--omit-inactive', '--force', '--new-uuids', '--bump-version'];
+  const args = { files: [], options: {} };
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    if(withValue.includes(arg)){
+      if(i + 1 >= argv.length) throw new UsageError(`${arg} needs a value.`);
+      args.options[arg === '-o' ? '--output' : arg] = argv[++i];
+    } else if(flags.includes(arg)){
+      args.options[arg] = true;
+    } else if(arg.startsWith('-') && arg !== '-'){
+      throw new UsageError(`Unknown option ${arg}.`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+function readJSONFile(file){
+  try {
+    return core.parseJSONWithComments(fs.readFileSync(file, 'utf8'));
+  } catch(e) {
+    throw new Error(`Could not read ${file}: ${e.message}`);
+  }
+}
+
+// The config named with --config, or the one config/releases.json lists for the
+// pack's version (when a pack is patched) or as its default
+function resolveConfigFile(options, packVersion){
+  if(options['--config']) return { file: options['--config'] };
+  const index = readJSONFile(RELEASES_FILE);
+  const releases = (Array.isArray(index.releases) ? index.releases : [])
+    .filter(rel => rel && typeof rel.version === 'string' && typeof rel.config === 'string');
+  let release = packVersion !== undefined ? core.releaseForPackVersion(releases, packVersion) : null;
+  let note = '';
+  if(!release){
+    release = releases.find(rel => rel.version === index.default) || releases[0];
+    if(!release) throw new Error(`${RELEASES_FILE} lists no releases, pass --config.`);
+    if(packVersion !== undefined){
+      note = `The pack is version ${core.formatPackVersion(packVersion)}, which has no config here. Using ${release.label || release.version}.`;
+    }
+  }
+  return { file: path.join(path.dirname(RELEASES_FILE), release.config), note };
+}
+
+function loadConfig(file){
+  const cfg = core.normalizeConfig(readJSONFile(file), '');
+  const diagnostics = core.validateConfig(cfg);
+  const errors = diagnostics.filter(d => d.level === 'error');
+  if(errors.length){
+    errors.forEach(d => console.error(`config error: ${d.key ? d.key + ': ' : ''}${d.message}`));
+    throw new Error(`${file} has errors, fix them first.`);
+  }
+  return cfg;
+}
+
+// Settings file -> values for the config, plus what had to be changed on the way.
+// Values the file doesn't set come from `base` (the pack's own settings) when given.
+function loadSettings(cfg, file, options, base = null){
+  const report = {};
+  const source = readJSONFile(file);
+  if(!source || typeof source !== 'object' || Array.isArray(source)) throw new Error(`${file} does not contain a JSON object.`);
+  const migrated = core.migrateSource(cfg, source, report);
+  let values = core.buildSanitizedFromSource(cfg.variables, migrated, report);
+  if(base) values = core.buildSanitizedFromSource(cfg.variables, { ...core.migrateSource(cfg, base), ...migrated });
+  const vars = cfg.variables;
+  const invalid = Object.keys(vars)
+    .map(key => ({ key, message: core.validateValue(vars[key], values[key]) }))
+    .filter(i => i.message);
+  return {
+    values: options['--omit-inactive'] ? core.activeValues(vars, values) : values,
+    report,
+    invalid,
+  };
+}
+
+// Prints what loading the settings changed, on stderr so `generate` can write the
+// file to stdout. Returns true when the settings are usable: no values of the
+// wrong type and none out of range (readonly values put back are only warned about)
+function printSettingsReport(file, { report, invalid }){
+  if(report.migration) console.error(`${file}: upgraded from config version ${report.migration.from} to ${report.migration.to}`);
+  report.migrated.forEach(m => console.error(`  migrated ${m.key}: ${m.detail}`));
+  if(report.unmigrated) console.warn(`warning: ${file}: no migration from config version ${report.unmigrated.from} to ${report.unmigrated.to}, values used as they are`);
+  report.dropped.forEach(key => console.warn(`warning: ${key} is not a configured variable, ignored`));
+  report.mismatched.forEach(m => {
+    if(m.readonly) console.warn(`warning: ${m.key} is readonly, kept at ${m.expected} instead of ${m.got}`);
+    else console.error(`error: ${m.key}: expected ${m.expected}, got ${m.got}`);
+  });
+  invalid.forEach(i => console.error(`error: ${i.key}: ${i.message}`));
+  return !report.mismatched.some(m => !m.readonly) && !invalid.length;
+}
+
+function writeOutput(file, data){
+  if(!file || file === '-') process.stdout.write(data);
+  else fs.writeFileSync(file, data);
+}
+
+async function validate(args){
+  if(args.files.length !== 1) throw new UsageError('validate takes one settings file.');
+  const [settingsFile] = args.files;
+  const cfg = loadConfig(resolveConfigFile(args.options).file);
+  const settings = loadSettings(cfg, settingsFile, args.options);
+  const ok = printSettingsReport(settingsFile, settings);
+  const defaults = core.buildSanitizedFromSource(cfg.variables, null);
+  const changed = Object.keys(settings.values).filter(k => JSON.stringify(settings.values[k]) !== JSON.stringify(defaults[k])).length;
+  if(settings.report.missing.length) console.log(`${settings.report.missing.length} values missing, they get their defaults`);
+  console.log(ok ? `${settingsFile} is valid (${changed} values differ from the defaults)` : `${settingsFile} is not valid`);
+  return ok;
+}
+
+async function generate(args){
+  if(args.files.length !== 1) throw new UsageError('generate takes one settings file.');
+  const [settingsFile] = args.files;
+  const cfg = loadConfig(resolveConfigFile(args.options).file);
+  const settings = loadSettings(cfg, settingsFile, args.options);
+  const ok = printSettingsReport(settingsFile, settings);
+  if(!ok && !args.options['--force']){
+    console.error('Nothing written, fix the settings or pass --force.');
+    return false;
+  }
+  writeOutput(args.options['--output'], core.prettyPrintJSON(settings.values) + '\n');
+  if(args.options['--output']) console.log(`Wrote ${args.options['--output']}`);
+  return true;
+}
+
+async function patch(args){
+  if(args.files.length !== 2) throw new UsageError('patch takes a pack and a settings file.');
+  if(!args.options['--output']) throw new UsageError('patch needs -o <out.mcpack>.');
+  const [packFile, settingsFile] = args.files;
+  const pack = await core.openPack(fs.readFileSync(packFile)).catch(e => {
+    throw new Error(`Could not open ${packFile}: ${e.message}`);
+  });
+  let packVersion;
+  try {
+    packVersion = await core.packManifestVersion(pack.zip, pack.globalsPath);
+  } catch(e) {
+    console.warn(`warning: could not read the pack's manifest.json (${e.message})`);
+  }
+  const { file: configFile, note } = resolveConfigFile(args.options, packVersion);
+  if(note) console.warn(`warning: ${note}`);
+  const cfg = loadConfig(configFile);
+  let packSettings = null;
+  try {
+    if(pack.originalText !== null) packSettings = core.parseJSONWithComments(pack.originalText);
+  } catch(e) {
+    console.warn(`warning: the pack's _global_variables.json does not parse (${e.message}), missing values get the defaults`);
+  }
+  const settings = loadSettings(cfg, settingsFile, args.options, packSettings);
+  const ok = printSettingsReport(settingsFile, settings);
+  if(!ok && !args.options['--force']){
+    console.error('Pack not patched, fix the settings or pass --force.');
+    return false;
+  }
+
+  const compat = await core.checkPackCompatibility(pack, cfg);
+  if(!compat.versionOk) console.warn(`warning: ${compat.versionNote}`);
+  else if(compat.versionNote) console.log(compat.versionNote);
+  if(compat.unreadable) console.warn('warning: the pack\'s _global_variables.json could not be parsed, it is replaced as a whole');
+  if(compat.missing.length) console.log(`${compat.missing.length} configured variables are missing from the pack and will be added`);
+  if(compat.mismatched.length) console.warn(`warning: the type changed for ${compat.mismatched.map(m => m.key).join(', ')}`);
+
+  const patched = core.buildPatchedGlobals(pack.originalText, settings.values, cfg.variables);
+  const manifestOptions = {
+    newUuids: Boolean(args.options['--new-uuids']),
+    bumpVersion: Boolean(args.options['--bump-version']),
+    name: args.options['--name'] || '',
+    description: args.options['--description'] || '',
+  };
+  const { data, manifestNote } = await core.writePatchedPack(pack, patched.text, settings.values, manifestOptions, 'nodebuffer');
+  fs.writeFileSync(args.options['--output'], data);
+  console.log(patched.note);
+  console.log(`Wrote ${args.options['--output']}${manifestNote}`);
+  return true;
+}
+
+const COMMANDS = { patch, generate, validate };
+
+async function main(argv){
+  const [command, ...rest] = argv;
+  if(!command || command === '--help' || command === '-h'){
+    console.log(USAGE);
+    return 0;
+  }
+  try {
+    if(!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".`);
+    return await COMMANDS[command](parseArgs(rest)) ? 0 : 1;
+  } catch(e) {
+    console.error(e instanceof UsageError ? `${e.message}\n\n${USAGE}` : `error: ${e.message}`);
+    return e instanceof UsageError ? 2 : 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Lists the UI strings a translation needs: every t()/tn() key in assets/app.js and
+// assets/core.js and the text and title/placeholder/alt/aria-label attributes of the
+// data-i18n elements in index.html. Given a locale file, reports the strings it is
+// missing and the ones it has that are no longer used.
+//
+//   node tools/i18n-extract.js                    print every key as a JSON "ui" skeleton
+//   node tools/i18n-extract.js locales/fr.json    compare a locale file with the keys
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+function decodeEntities(text){
+  return text.replace(/&(amp|lt|gt|quot|#39|times);/g, (m, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", times: '×' })[name]);
+}
+
+// The string literal starting at `i` (quote included), or null
+function readLiteral(source, i){
+  const quote = source[i];
+  if(quote !== "'" && quote !== '"') return null;
+  let out = '';
+  for(let j = i + 1; j < source.length; j++){
+    const c = source[j];
+    if(c === '\\'){
+      out += source[++j];
+    } else if(c === quote){
+      return { value: out, end: j + 1 };
+    } else {
+      out += c;
+    }
+  }
+  return null;
+}
+
+function scriptKeys(source){
+  const keys = new Set();
+  const skip = i => { while(/\s/.test(source[i])) i++; return i; };
+  for(const m of source.matchAll(/\bt\(\s*/g)){
+    const lit = readLiteral(source, m.index + m[0].length);
+    if(lit) keys.add(lit.value);
+    // t(cond ? 'a' : 'b')
+    else {
+      const rest = source.slice(m.index + m[0].length, source.indexOf('\n', m.index));
+      for(const q of rest.matchAll(/[?:]\s*/g)){
+        const alt = readLiteral(rest, q.index + q[0].length);
+        if(alt && /[A-Za-z]/.test(alt.value)) keys.add(alt.value);
+      }
+    }
+  }
+  // Text put on the page before a language is loaded (data-i18n set from script)
+  // is marked with a trailing "// i18n" comment
+  for(const line of source.split('\n').filter(l => /\/\/ i18n$/.test(l))){
+    for(let i = line.indexOf("'"); i !== -1; ){
+      const lit = readLiteral(line, i);
+      if(!lit) break;
+      if(/[A-Za-z]/.test(lit.value)) keys.add(lit.value);
+      i = line.indexOf("'", lit.end);
+    }
+  }
+  // tn(count, 'one', 'other'): the "other" form is the key, "one" is a plural form of it
+  for(const m of source.matchAll(/\btn\(/g)){
+    let i = source.indexOf(',', m.index) + 1;
+    const one = readLiteral(source, i = skip(i));
+    if(!one) continue;
+    i = skip(source.indexOf(',', one.end) + 1);
+    const other = readLiteral(source, i);
+    if(other) keys.add(other.value);
+  }
+  return keys;
+}
+
+function markupKeys(html){
+  const keys = new Set();
+  const tagRe = /<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>/g;
+  for(const open of html.matchAll(/<([a-zA-Z][\w-]*)([^>]*\sdata-i18n(?=[\s/>])[^>]*)>/g)){
+    const attrs = open[2];
+    for(const a of attrs.matchAll(/\s(title|placeholder|alt|aria-label)="([^"]*)"/g)) keys.add(decodeEntities(a[2]));
+    if(VOID_TAGS.has(open[1].toLowerCase())) continue;
+    // Text directly inside the element, not inside its children
+    tagRe.lastIndex = open.index + open[0].length;
+    let depth = 0;
+    let pos = tagRe.lastIndex;
+    let tag;
+    while((tag = tagRe.exec(html))){
+      if(depth === 0){
+        const text = decodeEntities(html.slice(pos, tag.index)).trim();
+        // Symbols such as the × of close buttons are left as they are
+        if(/[A-Za-z]/.test(text)) keys.add(text.replace(/\s+/g, ' '));
+      }
+      pos = tagRe.lastIndex;
+      if(VOID_TAGS.has(tag[2].toLowerCase()) || tag[4]) continue;
+      if(tag[1]){
+        if(depth === 0) break;
+        depth--;
+      } else {
+        depth++;
+      }
+    }
+  }
+  return keys;
+}
+
+const keys = [...new Set([
+  ...markupKeys(fs.readFileSync(path.join(root, 'index.html'), 'utf8')),
+  ...['app.js', 'core.js'].flatMap(file => [...scriptKeys(fs.readFileSync(path.join(root, 'assets', file), 'utf8'))]),
+])];
+
+const localeFile = process.argv[2];
+if(!localeFile){
+  console.log(JSON.stringify({ ui: Object.fromEntries(keys.map(k => [k, ''])) }, null, 2));
+  process.exit(0);
+}
+
+const locale = JSON.parse(fs.readFileSync(localeFile, 'utf8'));
+const ui = locale.ui || {};
+const missing = keys.filter(k => !(k in ui));
+const unused = Object.keys(ui).filter(k => !keys.includes(k));
+missing.forEach(k => console.log(`missing: ${JSON.stringify(k)}`));
+unused.forEach(k => console.log(`unused:  ${JSON.stringify(k)}`));
+console.log(`${keys.length} keys, ${missing.length} missing, ${unused.length} unused in ${localeFile}`);
+process.exitCode = missing.length ? 1 : 0;
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Local stand-in for the pack download sources, to test the Auto button without
+// the real CDN or proxies. Serves one .mcpack with CORS headers, in small slow
+// chunks so the progress bar can be watched, and can fail or stall on purpose.
+//
+//   node tools/pack-server.js path/to/pack.mcpack [--port 8787] [--delay 50] [--fail 1] [--stall] [--no-length]
+//
+// Then list it first in the config's "packSources":
+//   { "name": "Local", "url": "http://localhost:8787/pack.mcpack", "timeoutMs": 5000 }
+// and set "packSha256" to the hash printed on start.
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const file = args.find(a => !a.startsWith('--') && !/^\d+$/.test(a));
+const option = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? fallback : Number(args[i + 1]);
+};
+const port = option('port', 8787);
+const delay = option('delay', 50); // ms between 16 KB chunks
+let failuresLeft = option('fail', 0); // answer the first N requests with HTTP 500
+const stall = args.includes('--stall'); // send half the pack, then nothing
+const sendLength = !args.includes('--no-length');
+
+if(!file){
+  console.error('Usage: node tools/pack-server.js <pack.mcpack> [--port 8787] [--delay 50] [--fail 0] [--stall] [--no-length]');
+  process.exit(1);
+}
+
+const pack = fs.readFileSync(file);
+const CHUNK = 16 * 1024;
+
+http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  console.log(req.method, req.url);
+  if(failuresLeft > 0){
+    failuresLeft--;
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Simulated failure');
+    return;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'application/octet-stream',
+    ...(sendLength ? { 'Content-Length': pack.length } : {}),
+  });
+  const end = stall ? Math.floor(pack.length / 2) : pack.length;
+  let offset = 0;
+  const timer = setInterval(() => {
+    if(offset >= end){
+      clearInterval(timer);
+      if(!stall) res.end();
+      return;
+    }
+    res.write(pack.subarray(offset, Math.min(offset + CHUNK, end)));
+    offset += CHUNK;
+  }, delay);
+  req.on('close', () => clearInterval(timer));
+}).listen(port, () => {
+  console.log(`Serving ${file} (${pack.length} bytes) at http://localhost:${port}/pack.mcpack`);
+  console.log(`packSha256: ${crypto.createHash('sha256').update(pack).digest('hex')}`);
+});